@@ -1,4 +1,8 @@
 const { spawn } = require('child_process');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const os = require('os');
 const express = require('express');
 const fs = require('fs');
 const cors = require('cors');
@@ -11,19 +15,196 @@ const app = express();
 
 const baseOutputDir = path.join(__dirname, 'hls_output');
 const publicDir = path.join(__dirname, 'public');
-const adVideoPath = path.join(__dirname, 'ad', 'ad.mp4');
+const moviesDir = path.join(__dirname, 'movies');
+const adDir = path.join(__dirname, 'ad');
+const adVideoPath = path.join(adDir, 'ad.mp4');
 const watermarkText = 'AnitakuX';
 const channelsFile = path.join(__dirname, 'channels.json');
 const jobsFile = path.join(__dirname, 'jobs.json');
+const adsFile = path.join(__dirname, 'ads.json');
+const apiKeysFile = path.join(__dirname, 'apiKeys.json');
+const uploadsFile = path.join(__dirname, 'uploads.json');
+const libraryFile = path.join(__dirname, 'library.json');
+const analyticsFile = path.join(__dirname, 'analytics.json');
+const subtitlesDir = path.join(__dirname, 'subtitles');
+// Partial uploads live outside the media roots so they can never be queued half-written
+const uploadsDir = path.join(__dirname, 'uploads');
 
-app.use(cors());
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 20 * 1024 * 1024 * 1024;
+// Uploads with no new chunk for this long are discarded
+const UPLOAD_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+const INGEST_TIMEOUT_MS = 30000;
+// Remote pulls are limited separately from uploads
+const MAX_INGEST_BYTES = Number(process.env.MAX_INGEST_BYTES) || MAX_UPLOAD_BYTES;
+// Missing content types are let through; ffprobe still checks the file afterwards
+const INGEST_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/x-matroska'];
+
+// Jobs run in the background at most this many at a time
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const JOB_MAX_ATTEMPTS = 4;
+// Doubled after every failed attempt
+const JOB_RETRY_BASE_MS = 5000;
+// Finished jobs are forgotten after this long
+const JOB_RETENTION_MS = (Number(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const JOB_STATUSES = ['pending', 'uploading', 'processing', 'downloading', 'completed', 'failed', 'cancelled'];
+const JOB_FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Ordered from least to most privileged
+const API_ROLES = ['viewer', 'operator', 'admin'];
+const AUTH_COOKIE = 'axstream_key';
+// Routes opened by players and by EventSource, neither of which can send headers
+const PLAYER_ROUTE_PATTERN = /^\/(hls\/|watch\/|playlist\.m3u$|epg\.xml$|api\/events$|api\/schedule\/[^/]+$|api\/channel\/[^/]+\/(logo|events)$)/;
+// Origins allowed to call mutating routes from a browser; reads stay open to any origin
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// Directories media may be played from; MEDIA_ROOTS adds more, separated like PATH
+const mediaRoots = [
+  moviesDir,
+  ...(process.env.MEDIA_ROOTS || '').split(path.delimiter).filter(Boolean).map(root => path.resolve(root))
+];
+
+// How long before the running item ends the next one is started in the spare slot
+const PRELOAD_LEAD_MS = 10000;
+// Encoding ffmpeg workers allowed at once across all channels; preloads beyond it wait for a free one
+const MAX_CONCURRENT_ENCODES = Number(process.env.MAX_CONCURRENT_ENCODES) || os.cpus().length;
+// H.264 profiles that can be copied, with the profile and constraint bytes of their avc1 codec string
+const PASSTHROUGH_PROFILES = { 'Constrained Baseline': '42e0', Baseline: '4200', Main: '4d40', High: '6400' };
+// Copied video can only be cut on its own keyframes; sources with sparser ones are re-encoded (seconds)
+const PASSTHROUGH_MAX_KEYFRAME_INTERVAL = 4;
+// Only the average bit rate is known, so a copied source must leave room under its rung for VBR peaks
+const PASSTHROUGH_BITRATE_HEADROOM = 0.8;
+// Mid-rolls are not placed this close to the end of a movie
+const MIDROLL_END_MARGIN_MS = 2 * 60 * 1000;
+// A title interrupted by a restart with less than this left is treated as finished
+const RESUME_END_MARGIN_MS = 15000;
+// An item of unknown length is not resumed past a typical feature runtime
+const UNKNOWN_RUNTIME_MS = 90 * 60 * 1000;
+
+const SUBTITLE_MODES = ['off', 'burn', 'webvtt'];
+// Name of the subtitle media playlist next to the rendition playlists
+const SUBTITLE_RENDITION = 'subs';
+// ffmpeg's MPEG-TS output starts at 1.4s, which is where LOCAL 0 of each WebVTT segment maps to
+const MPEGTS_START_PTS = 126000;
+const SUBTITLE_SIDECAR_EXTS = ['.ass', '.ssa', '.srt', '.vtt'];
+// Bitmap subtitle codecs cannot be rendered by libass or converted to WebVTT
+const IMAGE_SUBTITLE_CODECS = ['hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle', 'xsub'];
+
+const BRANDING_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Channels override any of these with their own `branding`. A logo replaces the text watermark.
+const DEFAULT_BRANDING = {
+  watermarkText,
+  logoPath: null,
+  logoWidth: 160,
+  position: 'top-right',
+  opacity: 1,
+  font: null,
+  fontSize: 24,
+  fontColor: 'white',
+  lowerThird: true,
+  lowerThirdPosition: 'bottom-right',
+  lowerThirdFontSize: 20,
+  // 0 keeps the title on screen for the whole item
+  lowerThirdSeconds: 0
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Calendar slots are expanded this far ahead for timers, conflicts and the schedule
+const CALENDAR_HORIZON_MS = 7 * DAY_MS;
+// An event brought on air later than this starts at its wall-clock position instead of the beginning
+const CALENDAR_LATE_START_MS = 5000;
+const FILLER_MODES = ['none', 'ads', 'clips'];
+const MAX_CALENDAR_CONFLICTS = 50;
+
+const IDLE_MODES = ['off', 'reruns', 'shuffle', 'playlist'];
+// What a channel plays once its queue is empty; the ad loop is the last resort
+const DEFAULT_IDLE_POLICY = {
+  mode: 'off',
+  // Library collection drawn from in shuffle mode
+  collection: null,
+  // Channel playlist looped in playlist mode
+  playlist: null,
+  // Reruns pick from titles played within this window
+  rerunHours: 72,
+  // Nothing played within this window is picked again
+  noRepeatHours: 6
+};
+// Play history kept per channel, which also bounds rerunHours and noRepeatHours
+const PLAY_HISTORY_MS = 7 * DAY_MS;
+
+// Comment lines sent on idle event streams so proxies do not close them
+const EVENT_HEARTBEAT_MS = 25000;
+
+// Histogram buckets (seconds) for how long a preload takes to become playable
+const PRELOAD_LATENCY_BUCKETS = [1, 2, 5, 10, 15, 20, 30];
+
+const WATCHDOG_INTERVAL_MS = 5000;
+// An on-air worker with no new frames, segments or playlist writes for this long is considered frozen
+const STALL_TIMEOUT_MS = 20000;
+const MAX_INCIDENTS = 50;
+
+// A session counts as watching while its player keeps requesting playlists or segments within this window
+const VIEWER_WINDOW_MS = 30000;
+// Concurrent viewer counts are added to the history this often
+const VIEWER_SAMPLE_MS = 60000;
+// Viewer history and finished airings are kept this long
+const ANALYTICS_RETENTION_MS = 7 * DAY_MS;
+// Changes to the analytics history are collected for this long before the file is rewritten
+const ANALYTICS_SAVE_DELAY_MS = 10000;
+
+// Schedules are formatted in this zone unless the channel sets its own `timezone`
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+
+const DEFAULT_AD_POLICY = {
+  preRoll: false,
+  midRollIntervalMinutes: 0,
+  maxAdMinutesPerHour: 12,
+  maxBreakSeconds: 90
+};
+
+// Default ABR ladder, bitrates in kbit/s. Channels can override it with their own `renditions`.
+const DEFAULT_RENDITIONS = [
+  { name: '1080p', width: 1920, height: 1080, videoBitrate: 5000, audioBitrate: 128, level: 40 },
+  { name: '720p', width: 1280, height: 720, videoBitrate: 2800, audioBitrate: 128, level: 31 },
+  { name: '480p', width: 854, height: 480, videoBitrate: 1400, audioBitrate: 96, level: 30 },
+  { name: 'audio', audioOnly: true, audioBitrate: 64 }
+];
+
+app.use(cors((req, callback) => {
+  const method = req.method === 'OPTIONS' ? req.header('Access-Control-Request-Method') : req.method;
+  const readOnly = !method || method === 'GET' || method === 'HEAD';
+  callback(null, { origin: readOnly || corsOrigins.includes(req.header('Origin')) });
+}));
 app.use(express.static(publicDir));
 app.use(express.json());
 
+// Channels come and go at runtime, so HLS output is served through their state rather than fixed mounts
+app.use('/hls/:channelId', requireChannelView, (req, res, next) => {
+  const state = channelStates[req.params.channelId];
+  if (!state || !state.hlsHandler) {
+    return res.status(404).end();
+  }
+  // IPTV players open master.m3u8?key= directly, and the variant requests only carry the cookie
+  rememberChannelKey(req, res, req.params.channelId);
+  trackHlsRequest(req.params.channelId, req, res);
+  trackViewer(req.params.channelId, req);
+  state.hlsHandler(req, res, next);
+});
+
 // Global state
 const channelStates = {};
 let channels = {};
 let jobs = {};
+let ads = {};
+let apiKeys = {};
+let uploads = {};
+let library = {};
+let analytics = {};
+// Uploads with a chunk currently being written
+const activeUploads = new Set();
+// Expanded calendar slots per channel, dropped whenever the calendar changes
+const calendarSlotCache = new Map();
 
 // Load data
 try {
@@ -33,6 +214,13 @@ try {
   fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
 }
 
+// Queue items written before item IDs existed
+for (const config of Object.values(channels)) {
+  (config.queue || []).forEach((movie) => {
+    if (!movie.id) movie.id = createQueueItemId();
+  });
+}
+
 try {
   jobs = JSON.parse(fs.readFileSync(jobsFile));
 } catch (err) {
@@ -40,14 +228,160 @@ try {
   fs.writeFileSync(jobsFile, JSON.stringify(jobs, null, 2));
 }
 
+try {
+  ads = JSON.parse(fs.readFileSync(adsFile));
+} catch (err) {
+  ads = {};
+  fs.writeFileSync(adsFile, JSON.stringify(ads, null, 2));
+}
+
+try {
+  apiKeys = JSON.parse(fs.readFileSync(apiKeysFile));
+} catch (err) {
+  apiKeys = {};
+  fs.writeFileSync(apiKeysFile, JSON.stringify(apiKeys, null, 2));
+}
+
+try {
+  uploads = JSON.parse(fs.readFileSync(uploadsFile));
+} catch (err) {
+  uploads = {};
+  fs.writeFileSync(uploadsFile, JSON.stringify(uploads, null, 2));
+}
+
+try {
+  library = JSON.parse(fs.readFileSync(libraryFile));
+} catch (err) {
+  library = {};
+  fs.writeFileSync(libraryFile, JSON.stringify(library, null, 2));
+}
+
+try {
+  analytics = JSON.parse(fs.readFileSync(analyticsFile));
+} catch (err) {
+  analytics = {};
+  fs.writeFileSync(analyticsFile, JSON.stringify(analytics, null, 2));
+}
+
 // ==================== HELPER FUNCTIONS ====================
 
-function formatWATTime(date) {
+function formatScheduleTime(date, timeZone = DEFAULT_TIMEZONE) {
   return date.toLocaleTimeString('en-US', {
-    hour12: false,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone
+  });
+}
+
+// YYYY-MM-DD of the date in the given zone
+function formatScheduleDate(date, timeZone = DEFAULT_TIMEZONE) {
+  return date.toLocaleDateString('en-CA', { timeZone });
+}
+
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
     hour: '2-digit',
     minute: '2-digit',
-    timeZone: 'Africa/Lagos'
+    second: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+  return parts;
+}
+
+// Minutes the zone is ahead of UTC at that instant
+function getTimezoneOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const localMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((localMs - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Instant at which the zone's clock shows `minutes` past midnight of the given day; minutes may run into the next day
+function zonedTimeToDate(year, month, day, minutes, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const guess = wallClock - getTimezoneOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  // Second pass picks up a DST change between the wall clock and the first guess
+  return new Date(wallClock - getTimezoneOffsetMinutes(new Date(guess), timeZone) * 60000);
+}
+
+// XMLTV timestamps: local time in the zone followed by its UTC offset, e.g. 20240101200000 +0100
+function formatXmltvTime(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = getZonedParts(date, timeZone);
+  const offsetMinutes = getTimezoneOffsetMinutes(date, timeZone);
+  const absMinutes = Math.abs(offsetMinutes);
+  const offset = `${offsetMinutes < 0 ? '-' : '+'}${String(Math.floor(absMinutes / 60)).padStart(2, '0')}${String(absMinutes % 60).padStart(2, '0')}`;
+  return `${parts.year}${parts.month}${parts.day}${parts.hour}${parts.minute}${parts.second} ${offset}`;
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&'"]/g, char => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    "'": '&apos;',
+    '"': '&quot;'
+  })[char]);
+}
+
+// M3U attributes are double-quoted and one entry per line
+function escapeM3uValue(value) {
+  return String(value).replace(/[\r\n]+/g, ' ').replace(/"/g, "'");
+}
+
+// Absolute URL of this server as the client reached it, for links handed to external players
+function getBaseUrl(req) {
+  const protocol = (req.header('X-Forwarded-Proto') || req.protocol).split(',')[0].trim();
+  return `${protocol}://${req.get('host')}`;
+}
+
+function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function normalizeTimezone(timeZone) {
+  if (!isValidTimezone(timeZone)) {
+    throw new Error(`Invalid timezone: ${timeZone}`);
+  }
+  return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+}
+
+function getChannelTimezone(channelId) {
+  return (channels[channelId] && channels[channelId].timezone) || DEFAULT_TIMEZONE;
+}
+
+// Entries keep real timestamps; the HH:MM strings are only there for older clients
+function buildScheduleEntry(title, startTime, endTime, timeZone, extra = {}) {
+  return {
+    title,
+    start: startTime.toISOString(),
+    end: endTime.toISOString(),
+    duration: Math.round((endTime - startTime) / 1000),
+    date: formatScheduleDate(startTime, timeZone),
+    startTime: formatScheduleTime(startTime, timeZone),
+    endTime: formatScheduleTime(endTime, timeZone),
+    timezone: timeZone,
+    ...extra
+  };
+}
+
+function localizeScheduleEntry(entry, timeZone) {
+  if (!entry.start || !entry.end) return entry;
+  return buildScheduleEntry(entry.title, new Date(entry.start), new Date(entry.end), timeZone, {
+    current: entry.current,
+    isAd: entry.isAd,
+    ...(entry.calendar ? { calendar: entry.calendar } : {}),
+    ...(entry.mediaId ? { mediaId: entry.mediaId } : {})
   });
 }
 
@@ -70,42 +404,431 @@ async function getVideoDuration(filePath) {
   });
 }
 
+// Streams of one type, numbered the way ffmpeg's 0:a:N / 0:s:N selects them
+function listStreams(metadata, codecType) {
+  return metadata.streams
+    .filter(stream => stream.codec_type === codecType)
+    .map((stream, index) => ({
+      index,
+      codec: stream.codec_name,
+      language: (stream.tags && stream.tags.language) || null,
+      title: (stream.tags && stream.tags.title) || null,
+      channels: stream.channels,
+      default: !!(stream.disposition && stream.disposition.default)
+    }));
+}
+
+function probeStreams(filePath, codecType) {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err || !metadata) return resolve([]);
+      resolve(listStreams(metadata, codecType));
+    });
+  });
+}
+
+function toAudioTracks(streams) {
+  return streams.map(({ index, codec, language, title, channels, default: isDefault }) => ({
+    index,
+    codec,
+    language: language && language !== 'und' ? language : null,
+    title,
+    channels,
+    default: isDefault
+  }));
+}
+
+async function getAudioTracks(filePath) {
+  return toAudioTracks(await probeStreams(filePath, 'audio'));
+}
+
+// Escapes a value for a filter option inside -filter_complex: once for the option, once for the graph
+function escapeFilterValue(value) {
+  const optionEscaped = String(value).replace(/[\\':]/g, c => `\\${c}`);
+  return optionEscaped.replace(/[\\'\[\],;]/g, c => `\\${c}`);
+}
+
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isWithinRoot(filePath, root) {
+  const relative = path.relative(root, filePath);
+  return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+// Canonical path of a media file with symlinks resolved. Relative paths are taken from movies/.
+// Throws an error carrying a `code` when the file is missing or resolves outside the media roots.
+function resolveMediaPath(filePath, extraRoots = []) {
+  if (!filePath || typeof filePath !== 'string') {
+    throw codedError('FILE_PATH_REQUIRED', 'filePath is required');
+  }
+
+  const requested = path.resolve(moviesDir, filePath);
+  let realPath = null;
+  try {
+    realPath = fs.realpathSync(requested);
+  } catch (e) {
+    // Missing files are reported after the root check so paths outside the roots cannot be probed
+  }
+
+  const roots = [];
+  for (const root of [...mediaRoots, ...extraRoots]) {
+    roots.push(root);
+    try {
+      roots.push(fs.realpathSync(root));
+    } catch (e) {
+      // Root does not exist yet
+    }
+  }
+
+  if (!roots.some(root => isWithinRoot(realPath || requested, root))) {
+    throw codedError('PATH_OUTSIDE_MEDIA_ROOT', 'File path is outside the allowed media directories');
+  }
+  if (!realPath) {
+    throw codedError('FILE_NOT_FOUND', 'File not found');
+  }
+  if (!fs.statSync(realPath).isFile()) {
+    throw codedError('NOT_A_FILE', 'File path is not a regular file');
+  }
+
+  return realPath;
+}
+
+function normalizeRenditions(renditions) {
+  if (!Array.isArray(renditions) || renditions.length === 0) {
+    throw new Error('renditions must be a non-empty array');
+  }
+
+  const names = new Set();
+  const normalized = renditions.map((r) => {
+    const name = String(r.name || '').trim();
+    if (!/^[a-zA-Z0-9]+$/.test(name)) {
+      throw new Error(`Invalid rendition name: ${r.name}`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate rendition name: ${name}`);
+    }
+    if (name === SUBTITLE_RENDITION) {
+      throw new Error(`Rendition name ${name} is reserved for subtitles`);
+    }
+    names.add(name);
+
+    const audioBitrate = parseInt(r.audioBitrate) || 96;
+    if (r.audioOnly) {
+      return { name, audioOnly: true, audioBitrate };
+    }
+
+    const width = parseInt(r.width);
+    const height = parseInt(r.height);
+    const videoBitrate = parseInt(r.videoBitrate);
+    if (!width || !height || width % 2 !== 0 || height % 2 !== 0) {
+      throw new Error(`Rendition ${name} needs an even width and height`);
+    }
+    if (!videoBitrate || videoBitrate <= 0) {
+      throw new Error(`Rendition ${name} needs a videoBitrate in kbit/s`);
+    }
+
+    const level = parseInt(r.level) || (height > 720 ? 40 : height > 480 ? 31 : 30);
+    return { name, width, height, videoBitrate, audioBitrate, level };
+  });
+
+  if (!normalized.some(r => !r.audioOnly)) {
+    throw new Error('At least one video rendition is required');
+  }
+
+  return normalized;
+}
+
+function getRenditionLadder(channelId) {
+  const channelConfig = channels[channelId];
+  return channelConfig && channelConfig.renditions ? channelConfig.renditions : DEFAULT_RENDITIONS;
+}
+
+function normalizeAudioLanguages(languages) {
+  if (!Array.isArray(languages) || languages.length === 0 || languages.length > 4) {
+    throw new Error('audioLanguages must be an array of 1 to 4 language codes');
+  }
+
+  const normalized = languages.map(lang => String(lang).trim().toLowerCase());
+  for (const lang of normalized) {
+    if (!/^[a-z]{2,3}$/.test(lang)) {
+      throw new Error(`Invalid audio language: ${lang}`);
+    }
+  }
+  if (new Set(normalized).size !== normalized.length) {
+    throw new Error('audioLanguages must not repeat a language');
+  }
+  return normalized;
+}
+
+// One audio-only rendition per channel language, published as EXT-X-MEDIA alternates.
+// The underscore keeps the names apart from ladder names, which are alphanumeric.
+function getAudioRenditions(channelId) {
+  const channelConfig = channels[channelId];
+  return ((channelConfig && channelConfig.audioLanguages) || []).map(language => ({
+    name: `alt_${language}`,
+    audioOnly: true,
+    alternate: true,
+    language,
+    audioBitrate: 128
+  }));
+}
+
+// Everything ffmpeg writes for the channel and the live playlist keeps in step
+function getChannelRenditions(channelId) {
+  return [...getRenditionLadder(channelId), ...getAudioRenditions(channelId)];
+}
+
+// What a slot's worker really writes: a passthrough run replaces the video ladder with one variant describing its source
+function getSlotRenditions(channelId, slotId) {
+  const state = channelStates[channelId];
+  const variant = state.slotVariants[slotId];
+  const renditions = getChannelRenditions(channelId)
+    .map(r => (r.alternate ? { ...r, isDefault: r.name === state.slotDefaultAudio[slotId] } : r));
+  if (!variant) return renditions;
+
+  return renditions
+    .filter(r => r.audioOnly || r.name === variant.name)
+    .map(r => (r.name === variant.name ? { ...r, ...variant } : r));
+}
+
+// Slot playlist the live playlist reads a rendition from; during passthrough every rung reads the one variant
+function getSlotPlaylistName(channelId, slotId, rendition) {
+  const variant = channelStates[channelId].slotVariants[slotId];
+  return `stream_${slotId}_${variant && !rendition.audioOnly ? variant.name : rendition.name}.m3u8`;
+}
+
+// ffprobe tags are usually ISO 639-2 (jpn) while people tend to type ISO 639-1 (ja)
+function canonicalLanguage(language) {
+  try {
+    return Intl.getCanonicalLocales(language)[0];
+  } catch (e) {
+    return language;
+  }
+}
+
+function findAudioTrack(tracks, language) {
+  if (!tracks || !language) return null;
+  return tracks.find(t => t.language && canonicalLanguage(t.language) === canonicalLanguage(language)) || null;
+}
+
+// Relative (0:a:N) index of the track that plays when a language is missing, and in the ladder variants
+function getDefaultAudioTrack(audio) {
+  const track = audio && (findAudioTrack(audio.tracks, audio.language) || audio.tracks.find(t => t.default));
+  return track ? track.index : 0;
+}
+
+// The requested language if the file has it, otherwise whatever the file marks as default
+function pickAudioLanguage(tracks, requested) {
+  const match = findAudioTrack(tracks, requested);
+  if (match) return match.language;
+  const fallback = tracks.find(t => t.default) || tracks[0];
+  return fallback ? fallback.language : null;
+}
+
+function normalizeAudioLanguage(language) {
+  if (language === undefined || language === null) return undefined;
+  const normalized = String(language).trim().toLowerCase();
+  if (!/^[a-z]{2,3}$/.test(normalized)) {
+    throw new Error(`Invalid audio language: ${language}`);
+  }
+  return normalized;
+}
+
+function getLanguageName(language) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+  } catch (e) {
+    return language;
+  }
+}
+
+function buildMasterPlaylist(renditions) {
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    '#EXT-X-INDEPENDENT-SEGMENTS',
+    // Always present; items without subtitles get empty cue segments
+    `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="Subtitles",DEFAULT=NO,AUTOSELECT=YES,FORCED=NO,URI="stream_${SUBTITLE_RENDITION}.m3u8"`
+  ];
+
+  const alternates = renditions.filter(r => r.alternate);
+  alternates.forEach((r) => {
+    lines.push(`#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",LANGUAGE="${r.language}",NAME="${getLanguageName(r.language)}",DEFAULT=${r.isDefault ? 'YES' : 'NO'},AUTOSELECT=YES,URI="stream_${r.name}.m3u8"`);
+  });
+
+  for (const r of renditions.filter(r => !r.alternate)) {
+    // Peak rate of the capped encode plus ~10% MPEG-TS overhead
+    const peakKbps = ((r.audioOnly ? 0 : r.videoBitrate) + r.audioBitrate) * 1.1;
+    const attrs = [`BANDWIDTH=${Math.round(peakKbps * 1000)}`];
+
+    if (r.audioOnly) {
+      attrs.push('CODECS="mp4a.40.2"');
+    } else {
+      attrs.push(`RESOLUTION=${r.width}x${r.height}`);
+      attrs.push(`CODECS="avc1.${r.avcProfile || '4d40'}${r.level.toString(16).padStart(2, '0')},mp4a.40.2"`);
+      attrs.push('SUBTITLES="subs"');
+      if (alternates.length > 0) attrs.push('AUDIO="aud"');
+    }
+
+    lines.push(`#EXT-X-STREAM-INF:${attrs.join(',')}`);
+    lines.push(`stream_${r.name}.m3u8`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function countPlayableSegments(outputDir, playlistName, limit) {
+  const playlistPath = path.join(outputDir, playlistName);
+  if (!fs.existsSync(playlistPath) || fs.statSync(playlistPath).size === 0) {
+    return 0;
+  }
+
+  const content = fs.readFileSync(playlistPath, 'utf8');
+  const segmentMatches = content.match(/segment_.*?\.ts/g) || [];
+
+  let validSegments = 0;
+  for (const segName of segmentMatches.slice(0, limit)) {
+    const segPath = path.join(outputDir, segName);
+    if (fs.existsSync(segPath) && fs.statSync(segPath).size > 5000) {
+      validSegments++;
+    }
+  }
+  return validSegments;
+}
+
+// A slot is playable once every rendition playlist lists enough non-empty segments
+function isSlotPlayable(outputDir, slotId, renditions, required) {
+  try {
+    return renditions.every(r =>
+      countPlayableSegments(outputDir, `stream_${slotId}_${r.name}.m3u8`, required + 1) >= required
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
 async function generateDynamicSchedule(channelId, channelConfig, currentMovieInfo) {
   const schedule = [];
+  const state = channelStates[channelId];
+  const policy = getAdPolicy(channelId);
+  const breakMs = estimateBreakDuration(channelId);
+  const timeZone = getChannelTimezone(channelId);
   let currentTime = new Date();
 
   if (currentMovieInfo) {
-    schedule.push({
-      title: currentMovieInfo.title,
-      startTime: formatWATTime(currentMovieInfo.startTime),
-      endTime: formatWATTime(currentMovieInfo.endTime),
-      current: true
-    });
+    schedule.push(buildScheduleEntry(currentMovieInfo.title, currentMovieInfo.startTime, currentMovieInfo.endTime, timeZone, {
+      current: true,
+      isAd: !!currentMovieInfo.isAd,
+      mediaId: currentMovieInfo.mediaId
+    }));
     currentTime = new Date(currentMovieInfo.endTime.getTime() + 1000);
   }
 
-  if (!channelConfig.queue || channelConfig.queue.length === 0) return schedule;
+  const upcoming = [];
+
+  // Breaks and interrupted movies that are already lined up play before the queue
+  if (state && state.breakQueue.length > 0) {
+    upcoming.push({ title: 'Ad Break', duration: state.breakQueue.reduce((sum, ad) => sum + ad.duration, 0), isAd: true });
+  }
+  if (state && state.resumeItem) {
+    const duration = await getMediaDuration(state.resumeItem);
+    const offsetMs = state.resumeItem.offset * 1000;
+    upcoming.push({
+      title: state.resumeItem.title,
+      mediaId: state.resumeItem.mediaId,
+      duration: Math.max(duration - offsetMs, 0) + countMidRolls(channelId, duration, offsetMs) * breakMs
+    });
+  }
+
+  const preRollPlanned = !!(state && state.breakQueue.length > 0 && state.breakQueue[0].breakKind === 'pre-roll');
+  const queue = channelConfig.queue || [];
 
-  for (let i = 0; i < Math.min(channelConfig.queue.length, 10); i++) {
-    const movie = channelConfig.queue[i];
-    const duration = await getVideoDuration(movie.filePath);
-    const startTime = new Date(currentTime);
-    const endTime = new Date(currentTime.getTime() + duration);
+  for (let i = 0; i < Math.min(queue.length, 10); i++) {
+    const movie = queue[i];
+    const duration = await getMediaDuration(movie);
+    const offsetMs = (movie.offset || 0) * 1000;
 
-    schedule.push({
+    if (policy.preRoll && breakMs > 0 && !(i === 0 && preRollPlanned)) {
+      upcoming.push({ title: 'Ad Break', duration: breakMs, isAd: true });
+    }
+    upcoming.push({
       title: movie.title,
-      startTime: formatWATTime(startTime),
-      endTime: formatWATTime(endTime),
-      current: false
+      mediaId: movie.mediaId,
+      duration: Math.max(duration - offsetMs, 0) + countMidRolls(channelId, duration, offsetMs) * breakMs
     });
+  }
+
+  // An empty queue is followed by the next idle pick
+  if (state && queue.length === 0 && !channelConfig.stopped) {
+    const idleItem = getPendingIdleItem(channelId);
+    if (idleItem) {
+      upcoming.push({ title: idleItem.title, mediaId: idleItem.mediaId, duration: idleItem.duration });
+    }
+  }
+
+  // Creatives of one break are listed as a single entry
+  const addEntry = (title, startMs, endMs, extra) => {
+    const previous = schedule[schedule.length - 1];
+    if (extra.isAd && previous && previous.isAd) {
+      schedule[schedule.length - 1] = buildScheduleEntry(previous.title, new Date(previous.start), new Date(endMs), timeZone, {
+        current: previous.current,
+        isAd: true
+      });
+    } else {
+      schedule.push(buildScheduleEntry(title, new Date(startMs), new Date(endMs), timeZone, { current: false, ...extra }));
+    }
+    currentTime = new Date(endMs + 1000);
+  };
+
+  // Calendar slots take their wall-clock place; queue items run around them
+  const slots = getCalendarSlots(channelId, currentTime.getTime(), currentTime.getTime() + CALENDAR_HORIZON_MS)
+    .filter(slot => !slot.aired);
+  const fillerMode = getCalendar(channelId).fillers.mode;
+  const addSlot = (slot) => {
+    if (slot.end > currentTime.getTime()) {
+      addEntry(slot.title, Math.max(slot.start, currentTime.getTime()), slot.end, {
+        calendar: slot.kind,
+        mediaId: slot.event ? slot.event.mediaId : undefined
+      });
+    }
+  };
+
+  for (const item of upcoming) {
+    let remainingMs = item.duration;
+    while (remainingMs > 0) {
+      const slot = slots[0];
+      const startMs = currentTime.getTime();
+      if (slot && slot.start <= startMs) {
+        addSlot(slots.shift());
+        continue;
+      }
 
-    currentTime = new Date(endTime.getTime() + 1000);
+      const endMs = startMs + remainingMs;
+      if (!slot || slot.start >= endMs) {
+        addEntry(item.title, startMs, endMs, { isAd: !!item.isAd, mediaId: item.mediaId });
+        break;
+      }
+
+      // The gap before the slot is filled, or the item is cut by the slot and continues after it
+      if (fillerMode !== 'none' && !item.isAd) {
+        addEntry(fillerMode === 'ads' ? 'Ad Break' : 'Filler', startMs, slot.start, { isAd: fillerMode === 'ads' });
+      } else {
+        addEntry(item.title, startMs, slot.start, { isAd: !!item.isAd, mediaId: item.mediaId });
+        remainingMs -= slot.start - startMs;
+      }
+      currentTime = new Date(slot.start);
+    }
   }
+  slots.forEach(addSlot);
 
   return schedule;
 }
 
-function startFFmpeg(channelId, inputPath, outputDir, movieTitle, slotId, onExit, onReady, isAd = false) {
+function startFFmpeg(channelId, inputPath, outputDir, movieTitle, slotId, onExit, onReady, isAd = false, options = {}) {
   if (!fs.existsSync(inputPath)) {
     console.error(`❌ [${channelId}-${slotId}] Input file not found: ${inputPath}`);
     if (onExit) onExit(-1);
@@ -120,77 +843,149 @@ function startFFmpeg(channelId, inputPath, outputDir, movieTitle, slotId, onExit
     return null;
   }
 
+  const renditions = getChannelRenditions(channelId);
+  const runId = Date.now().toString(36);
+
+  // A previous run's playlists in this slot would otherwise pass the readiness check
+  renditions.forEach(r => fs.rmSync(path.join(outputDir, `stream_${slotId}_${r.name}.m3u8`), { force: true }));
+  const videoRenditions = renditions.filter(r => !r.audioOnly);
+  const loop = options.loop !== undefined ? options.loop : isAd;
+  const startOffset = options.startOffset || 0;
+  const subtitles = options.subtitles || null;
+  const audio = options.audio && options.audio.tracks && options.audio.tracks.length > 0 ? options.audio : null;
+  const defaultTrack = getDefaultAudioTrack(audio);
+  // A source probed without any audio gets generated silence, since every rendition carries an audio stream
+  const silent = !!(options.audio && Array.isArray(options.audio.tracks) && options.audio.tracks.length === 0);
+  // The variant planPassthrough described; its source streams are copied instead of encoded
+  const passthrough = options.passthrough || null;
+  channelStates[channelId].slotVariants[slotId] = passthrough;
+  const outputs = getSlotRenditions(channelId, slotId);
+
+  // With the file's tracks known, an alternate whose language it lacks stays silent instead of playing another
+  // language under that name; the one carrying the item's own track is what players pick by default
+  const alternateTracks = new Map(outputs.filter(r => r.alternate).map(r => [r.name, findAudioTrack(audio && audio.tracks, r.language)]));
+  const silenceNeeded = silent || (!!audio && [...alternateTracks.values()].some(track => !track));
+  const defaultAlternate = audio
+    ? [...alternateTracks.keys()].find(name => alternateTracks.get(name) && alternateTracks.get(name).index === defaultTrack) ||
+      [...alternateTracks.keys()].find(name => alternateTracks.get(name)) || null
+    : [...alternateTracks.keys()][0] || null;
+  channelStates[channelId].slotDefaultAudio[slotId] = defaultAlternate;
+
+  // WebVTT cues are cut into segments by the live playlist sync as this run's segments arrive
+  registerRunSubtitles(channelId, runId, subtitles && subtitles.mode === 'webvtt' ? subtitles : null, startOffset);
+
+  const { textFilters, logo } = buildBrandingFilters(getBranding(channelId), movieTitle, isAd);
+  const baseFilters = [
+    ...(subtitles && subtitles.mode === 'burn' ? [buildSubtitleFilter(inputPath, subtitles, startOffset)] : []),
+    ...textFilters
+  ];
+  const split = `split=${videoRenditions.length}${videoRenditions.map((r, i) => `[v${i}]`).join('')}`;
+
+  const filterGraph = [
+    ...(logo
+      ? [
+        `[0:v]${baseFilters.length > 0 ? baseFilters.join(',') : 'null'}[base]`,
+        `[1:v]${logo.filter}[logo]`,
+        `[base][logo]${logo.overlay},${split}`
+      ]
+      : [`[0:v]${[...baseFilters, split].join(',')}`]),
+    ...videoRenditions.map((r, i) =>
+      `[v${i}]scale=${r.width}:${r.height}:force_original_aspect_ratio=decrease,pad=${r.width}:${r.height}:(ow-iw)/2:(oh-ih)/2,setsar=1[vout${i}]`
+    )
+  ].join(';');
+
+  const useLogo = logo && !passthrough;
+  const silenceInput = useLogo ? 2 : 1;
+  const mapArgs = [];
+  const encodeArgs = [];
+  const metadataArgs = [];
+  const copyArgs = [];
+  const streamMap = [];
+  let videoIndex = 0;
+
+  outputs.forEach((r, audioIndex) => {
+    if (r.audioOnly) {
+      streamMap.push(`a:${audioIndex},name:${r.name}`);
+    } else {
+      mapArgs.push('-map', passthrough ? '0:v:0' : `[vout${videoIndex}]`);
+      encodeArgs.push(
+        `-maxrate:v:${videoIndex}`, `${r.videoBitrate}k`,
+        `-bufsize:v:${videoIndex}`, `${r.videoBitrate * 2}k`,
+        `-level:v:${videoIndex}`, (r.level / 10).toFixed(1)
+      );
+      streamMap.push(`v:${videoIndex},a:${audioIndex},name:${r.name}`);
+      videoIndex++;
+    }
+    const track = r.alternate ? alternateTracks.get(r.name) : null;
+    if (silent || (r.alternate && audio && !track)) {
+      mapArgs.push('-map', `${silenceInput}:a`);
+      // Generated audio has nothing to copy
+      copyArgs.push(`-c:a:${audioIndex}`, 'aac', `-b:a:${audioIndex}`, `${r.audioBitrate}k`);
+    } else {
+      mapArgs.push('-map', `0:a:${track ? track.index : defaultTrack}`);
+    }
+    encodeArgs.push(`-b:a:${audioIndex}`, `${r.audioBitrate}k`);
+    if (r.language) metadataArgs.push(`-metadata:s:a:${audioIndex}`, `language=${r.language}`);
+  });
+
   const args = [
-    '-stream_loop', isAd ? '-1' : '0',
+    '-stream_loop', loop ? '-1' : '0',
+    ...(startOffset > 0 ? ['-ss', startOffset.toFixed(3)] : []),
     '-re', '-i', inputPath,
-    '-vf', `drawtext=text='${watermarkText}':fontcolor=white:fontsize=24:x=w-tw-20:y=20${!isAd ? `,drawtext=text='${movieTitle}':fontcolor=white:fontsize=20:x=w-tw-20:y=h-th-20` : ''}`,
-    '-c:v', 'libx264', 
-    '-preset', 'ultrafast',
-    '-tune', 'zerolatency',
-    '-crf', '28',
-    '-maxrate', '2M', '-bufsize', '4M',
-    '-c:a', 'aac', '-b:a', '96k',
-    '-g', '30',
-    '-sc_threshold', '0',
+    ...(useLogo ? ['-i', logo.input] : []),
+    ...(silenceNeeded ? ['-f', 'lavfi', '-i', 'anullsrc=channel_layout=stereo:sample_rate=48000'] : []),
+    ...(passthrough
+      // -hls_time is a minimum here: segments run on to the next source keyframe
+      ? [...mapArgs, '-c', 'copy', ...copyArgs]
+      : [
+        '-filter_complex', filterGraph,
+        ...mapArgs,
+        '-c:v', 'libx264',
+        '-preset', 'ultrafast',
+        '-tune', 'zerolatency',
+        '-profile:v', 'main',
+        '-crf', '28',
+        '-c:a', 'aac', '-ac', '2',
+        ...encodeArgs,
+        '-g', '30',
+        '-sc_threshold', '0'
+      ]),
+    // The generated silence never ends on its own
+    ...(silenceNeeded ? ['-shortest'] : []),
+    ...metadataArgs,
     '-f', 'hls',
     '-hls_time', '2',
-    '-hls_list_size', '6',
-    '-hls_flags', 'delete_segments+independent_segments',
+    '-hls_list_size', '10',
+    '-hls_flags', 'independent_segments',
     '-hls_segment_type', 'mpegts',
-    '-hls_segment_filename', path.join(outputDir, `segment_${slotId}_%03d.ts`),
-    '-master_pl_name', `master_${slotId}.m3u8`,
+    '-hls_segment_filename', path.join(outputDir, `segment_${slotId}_${runId}_%v_%03d.ts`),
+    '-var_stream_map', streamMap.join(' '),
     '-y',
-    path.join(outputDir, `stream_${slotId}.m3u8`)
+    path.join(outputDir, `stream_${slotId}_%v.m3u8`)
   ];
 
-  console.log(`🔴 [${channelId}] Starting FFmpeg slot ${slotId} for ${isAd ? 'Ad Loop' : movieTitle}`);
+  console.log(`🔴 [${channelId}] Starting FFmpeg slot ${slotId} for ${loop ? 'Ad Loop' : movieTitle}${passthrough ? ' (passthrough)' : ''}`);
   const proc = spawn('ffmpeg', args, {
     stdio: ['ignore', 'pipe', 'pipe']
   });
+  proc.startedAt = Date.now();
+  proc.channelId = channelId;
+  proc.slotId = slotId;
+  proc.transcoding = !passthrough;
+  runningProcesses.add(proc);
+  incrementCounter('axstream_ffmpeg_starts_total', {
+    channel: channelId,
+    slot: slotId,
+    kind: loop ? 'ad' : 'movie',
+    mode: passthrough ? 'passthrough' : 'transcode'
+  });
 
   let isReady = false;
   let readyCheckTimeout = null;
   let segmentCheckInterval = null;
   const REQUIRED_SEGMENTS = 2;
 
-  const checkSegmentsReady = () => {
-    try {
-      const masterPath = path.join(outputDir, `master_${slotId}.m3u8`);
-      const streamPath = path.join(outputDir, `stream_${slotId}.m3u8`);
-      
-      if (!fs.existsSync(masterPath) || !fs.existsSync(streamPath)) {
-        return false;
-      }
-      
-      const masterStats = fs.statSync(masterPath);
-      const streamStats = fs.statSync(streamPath);
-      if (masterStats.size === 0 || streamStats.size === 0) {
-        return false;
-      }
-      
-      const streamContent = fs.readFileSync(streamPath, 'utf8');
-      const segmentMatches = streamContent.match(/segment_.*?\.ts/g);
-      
-      if (!segmentMatches || segmentMatches.length < REQUIRED_SEGMENTS) {
-        return false;
-      }
-      
-      let validSegments = 0;
-      for (const segName of segmentMatches.slice(0, REQUIRED_SEGMENTS)) {
-        const segPath = path.join(outputDir, segName);
-        if (fs.existsSync(segPath)) {
-          const stats = fs.statSync(segPath);
-          if (stats.size > 5000) {
-            validSegments++;
-          }
-        }
-      }
-      
-      return validSegments >= REQUIRED_SEGMENTS;
-    } catch (e) {
-      return false;
-    }
-  };
+  const checkSegmentsReady = () => isSlotPlayable(outputDir, slotId, outputs, REQUIRED_SEGMENTS);
 
   segmentCheckInterval = setInterval(() => {
     if (!isReady && checkSegmentsReady()) {
@@ -222,652 +1017,4855 @@ function startFFmpeg(channelId, inputPath, outputDir, movieTitle, slotId, onExit
 
     if (output.includes('frame=')) {
       const frameMatch = output.match(/frame=\s*(\d+)/);
-      if (frameMatch && parseInt(frameMatch[1]) % 300 === 0) {
+      const frame = frameMatch ? parseInt(frameMatch[1]) : 0;
+      // Encoder progress is what the watchdog trusts first
+      if (frame > (proc.lastFrame || 0)) {
+        proc.lastFrame = frame;
+        proc.lastFrameAt = Date.now();
+      }
+      if (frameMatch && frame % 300 === 0) {
         console.log(`[${channelId}-${slotId}] Frame ${frameMatch[1]}`);
       }
     }
   });
 
-  proc.on('exit', (code) => {
+  proc.on('exit', (code, signal) => {
     clearTimeout(readyCheckTimeout);
     clearInterval(segmentCheckInterval);
+    runningProcesses.delete(proc);
+    // After onExit below, so a channel left with nothing on air counts as urgent
+    setImmediate(pumpEncoders);
+    incrementCounter('axstream_ffmpeg_exits_total', { channel: channelId, slot: slotId, code: code === null ? signal : code, stopped: !!proc.stopped });
     console.log(`🔴 [${channelId}] FFmpeg slot ${slotId} exited with code ${code}`);
+    if (proc.stopped) return;
     if (onExit) onExit(code);
   });
 
   proc.on('error', (error) => {
     clearTimeout(readyCheckTimeout);
     clearInterval(segmentCheckInterval);
+    runningProcesses.delete(proc);
+    setImmediate(pumpEncoders);
     console.error(`❌ [${channelId}-${slotId}] FFmpeg process error:`, error);
+    if (proc.stopped) return;
     if (onExit) onExit(-1);
   });
 
   return proc;
 }
 
-function switchActiveStream(channelOutput, toSlot) {
-  const masterLink = path.join(channelOutput, 'master.m3u8');
-  const streamLink = path.join(channelOutput, 'stream.m3u8');
-  const targetMaster = path.join(channelOutput, `master_${toSlot}.m3u8`);
-  const targetStream = path.join(channelOutput, `stream_${toSlot}.m3u8`);
+// Kills a process without running its onExit handler; the caller decides what plays next
+function stopProcess(proc) {
+  if (!proc) return;
+  proc.stopped = true;
+  proc.kill('SIGKILL');
+}
 
-  try {
-    if (!fs.existsSync(targetMaster) || !fs.existsSync(targetStream)) {
-      console.log(`⚠️ Target files not ready for slot ${toSlot} (files don't exist)`);
-      return false;
-    }
-
-    const masterStats = fs.statSync(targetMaster);
-    const streamStats = fs.statSync(targetStream);
-    
-    if (masterStats.size === 0 || streamStats.size === 0) {
-      console.log(`⚠️ Target files empty for slot ${toSlot}`);
-      return false;
-    }
-
-    let streamContent;
-    try {
-      streamContent = fs.readFileSync(targetStream, 'utf8');
-      if (!streamContent.includes('.ts')) {
-        console.log(`⚠️ No segments in playlist for slot ${toSlot}`);
-        return false;
-      }
-    } catch (e) {
-      console.log(`⚠️ Cannot read stream playlist for slot ${toSlot}:`, e.message);
-      return false;
-    }
-
-    const segmentMatches = streamContent.match(new RegExp(`segment_${toSlot}_\\d+\\.ts`, 'g'));
-    if (!segmentMatches || segmentMatches.length < 2) {
-      console.log(`⚠️ Not enough segments for slot ${toSlot} (found ${segmentMatches?.length || 0})`);
-      return false;
-    }
-
-    let validSegments = 0;
-    for (const segName of segmentMatches.slice(0, 3)) {
-      const segPath = path.join(channelOutput, segName);
-      if (fs.existsSync(segPath) && fs.statSync(segPath).size > 5000) {
-        validSegments++;
-      }
-    }
+function switchActiveStream(channelId, toSlot) {
+  const state = channelStates[channelId];
+  const channelOutput = getChannelOutput(channelId);
+  const renditions = getSlotRenditions(channelId, toSlot);
 
-    if (validSegments < 2) {
-      console.log(`⚠️ Not enough valid segments for slot ${toSlot} (${validSegments} valid)`);
+  try {
+    if (!isSlotPlayable(channelOutput, toSlot, renditions, 2)) {
+      console.log(`⚠️ Not enough valid segments in every rendition for slot ${toSlot}`);
+      incrementCounter('axstream_switch_failures_total', { channel: channelId });
       return false;
     }
 
-    [masterLink, streamLink].forEach(link => {
-      try {
-        if (fs.existsSync(link)) {
-          fs.unlinkSync(link);
-        }
-      } catch (e) {
-        console.error(`Warning: Could not remove ${link}:`, e.message);
-      }
-    });
+    // The live playlist keeps running; segments from the new slot are appended after a discontinuity
+    const live = state.livePlaylist;
+    live.source = { slot: toSlot, runId: null, nextSeq: 0, appendedSeconds: 0 };
+    live.pendingDiscontinuity = live.entries.length > 0 || live.mediaSequence > 0;
+    syncLivePlaylist(channelId);
 
-    fs.copyFileSync(targetMaster, masterLink);
-    fs.copyFileSync(targetStream, streamLink);
+    fs.writeFileSync(path.join(channelOutput, 'master.m3u8'), buildMasterPlaylist(renditions));
 
-    console.log(`🔄 Successfully switched to slot ${toSlot} (${validSegments} segments verified)`);
+    console.log(`🔄 Successfully switched to slot ${toSlot} (${renditions.length} renditions verified)`);
     return true;
   } catch (error) {
     console.error(`❌ Error switching streams:`, error.message);
+    incrementCounter('axstream_switch_failures_total', { channel: channelId });
     return false;
   }
 }
 
-// ==================== CHANNEL MANAGEMENT ====================
+// ==================== LIVE PLAYLIST ====================
 
-function getChannelOutput(channelId) {
-  return path.join(baseOutputDir, channelId);
-}
+const LIVE_PLAYLIST_SIZE = 8;
+const LIVE_SYNC_INTERVAL = 1000;
+const SEGMENT_RETENTION_MS = 30000;
 
-async function playAd(channelId) {
-  const state = channelStates[channelId];
-  const channelOutput = getChannelOutput(channelId);
+function createLivePlaylist() {
+  return {
+    mediaSequence: 0,
+    discontinuitySequence: 0,
+    targetDuration: 2,
+    entries: [],
+    source: null,
+    pendingDiscontinuity: false,
+    syncCount: 0,
+    subtitleRuns: {}
+  };
+}
 
-  if (channels[channelId].queue && channels[channelId].queue.length > 0) {
-    console.log(`📺 [${channelId}] Queue has movies, not starting ad`);
-    return;
+function parseMediaPlaylist(playlistPath) {
+  let content;
+  try {
+    content = fs.readFileSync(playlistPath, 'utf8');
+  } catch (e) {
+    return [];
   }
 
-  if (state.isPlaying || state.playingAd) return;
-
-  if (!fs.existsSync(adVideoPath)) {
-    console.error(`❌ [${channelId}] Ad file not found at ${adVideoPath}`);
-    setTimeout(() => playAd(channelId), 5000);
-    return;
+  const segments = [];
+  let seq = 0;
+  let duration = null;
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      seq = parseInt(line.split(':')[1]) || 0;
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.substring(8));
+    } else if (line && !line.startsWith('#') && duration !== null) {
+      segments.push({ seq: seq++, duration, uri: line });
+      duration = null;
+    }
   }
+  return segments;
+}
 
-  console.log(`📺 [${channelId}] Starting Ad Loop in slot ${state.activeSlot}`);
-  state.isPlaying = true;
-  state.playingAd = true;
+// Segment names carry the ffmpeg run that wrote them: segment_<slot>_<runId>_<rendition>_<n>.ts
+function getSegmentRunId(uri) {
+  const match = uri.match(/^segment_[AB]_([a-z0-9]+)_/);
+  return match ? match[1] : null;
+}
 
-  if (state.currentProcess) {
-    state.currentProcess.kill('SIGKILL');
-    state.currentProcess = null;
+function renderLivePlaylist(live, renditionName) {
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${live.targetDuration}`,
+    `#EXT-X-MEDIA-SEQUENCE:${live.mediaSequence}`,
+    `#EXT-X-DISCONTINUITY-SEQUENCE:${live.discontinuitySequence}`
+  ];
+
+  for (const entry of live.entries) {
+    if (entry.discontinuity) lines.push('#EXT-X-DISCONTINUITY');
+    lines.push(`#EXTINF:${entry.durations[renditionName].toFixed(3)},`);
+    lines.push(entry.uris[renditionName]);
   }
 
-  state.currentProcess = startFFmpeg(
-    channelId,
-    adVideoPath,
-    channelOutput,
-    'Ad',
-    state.activeSlot,
-    (exitCode) => {
-      state.isPlaying = false;
-      console.log(`✅ [${channelId}] Ad loop exited (${exitCode})`);
-      
-      const hasMovies = channels[channelId].queue && channels[channelId].queue.length > 0;
-      
-      if (hasMovies) {
-        console.log(`📺 [${channelId}] Queue has movies, not restarting ad`);
-        state.playingAd = false;
-        setTimeout(() => playNextMovie(channelId), 1000);
-        return;
-      }
-      
-      if (!hasMovies && exitCode !== -1) {
-        setTimeout(() => playAd(channelId), 1000);
-      } else if (exitCode === -1) {
-        console.error(`❌ [${channelId}] Ad FFmpeg failed, waiting before retry...`);
-        setTimeout(() => playAd(channelId), 5000);
-      }
-    },
-    async () => {
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      const switched = switchActiveStream(channelOutput, state.activeSlot);
-      if (switched) {
-        console.log(`🟢 [${channelId}] Ad loop ready and streaming`);
-      } else {
-        console.error(`❌ [${channelId}] Ad failed to switch streams, retrying...`);
-        setTimeout(() => {
-          if (switchActiveStream(channelOutput, state.activeSlot)) {
-            console.log(`🟢 [${channelId}] Ad loop ready after retry`);
-          }
-        }, 2000);
-      }
-    },
-    true
-  );
+  return lines.join('\n') + '\n';
 }
 
-async function preloadNextMovie(channelId) {
-  const state = channelStates[channelId];
-  const channelConfig = channels[channelId];
+function writeLivePlaylists(channelId) {
+  const live = channelStates[channelId].livePlaylist;
   const channelOutput = getChannelOutput(channelId);
-  
-  if (!channelConfig.queue || channelConfig.queue.length === 0) {
-    console.log(`📺 [${channelId}] No movies in queue to preload`);
-    return false;
-  }
 
-  if (state.isPreloading) {
-    console.log(`⚠️ [${channelId}] Preload already in progress, skipping`);
-    return false;
+  for (const name of [...getChannelRenditions(channelId).map(r => r.name), SUBTITLE_RENDITION]) {
+    const target = path.join(channelOutput, `stream_${name}.m3u8`);
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, renderLivePlaylist(live, name));
+    fs.renameSync(tmp, target);
   }
+}
 
-  if (state.preloadReady) {
-    console.log(`✅ [${channelId}] Movie already preloaded`);
-    return true;
-  }
+// Appends segments the active slot has finished since the last sync and slides the window
+function syncLivePlaylist(channelId) {
+  const state = channelStates[channelId];
+  const live = state && state.livePlaylist;
+  if (!live || !live.source) return;
 
-  const nextMovie = channelConfig.queue[0];
-  
-  if (!nextMovie || !nextMovie.filePath) {
-    console.error(`❌ [${channelId}] Invalid movie in queue for preload`);
-    return false;
-  }
+  const channelOutput = getChannelOutput(channelId);
+  const renditions = getChannelRenditions(channelId);
+  const source = live.source;
 
-  if (!fs.existsSync(nextMovie.filePath)) {
-    console.error(`❌ [${channelId}] Movie file not found: ${nextMovie.filePath}`);
-    return false;
-  }
+  try {
+    const parsed = renditions.map(r => parseMediaPlaylist(path.join(channelOutput, getSlotPlaylistName(channelId, source.slot, r))));
+    if (parsed[0].length === 0) return;
 
-  console.log(`🔄 [${channelId}] Preloading "${nextMovie.title}" in slot ${state.nextSlot}`);
+    const runId = getSegmentRunId(parsed[0][parsed[0].length - 1].uri);
+    if (runId !== source.runId) {
+      // Same slot restarted with a new ffmpeg process (e.g. the ad loop), numbering starts over
+      if (source.runId) live.pendingDiscontinuity = true;
+      source.runId = runId;
+      source.nextSeq = 0;
+      source.appendedSeconds = 0;
+    }
 
-  state.preloadReady = false;
-  state.isPreloading = true;
+    const bySeq = parsed.map(segments => new Map(
+      segments.filter(seg => getSegmentRunId(seg.uri) === runId).map(seg => [seg.seq, seg])
+    ));
 
-  return new Promise((resolve) => {
-    let resolved = false;
-    
-    const resolveOnce = (value) => {
-      if (!resolved) {
-        resolved = true;
-        state.isPreloading = false;
-        resolve(value);
-      }
-    };
+    let changed = false;
+    const candidates = [...bySeq[0].keys()].filter(seq => seq >= source.nextSeq).sort((x, y) => x - y);
+    for (const seq of candidates) {
+      // Only append once every rendition has the segment so the variants stay aligned
+      if (!bySeq.every(map => map.has(seq))) break;
 
-    state.nextProcess = startFFmpeg(
-      channelId,
-      nextMovie.filePath,
-      channelOutput,
-      nextMovie.title,
-      state.nextSlot,
-      (exitCode) => {
-        console.log(`✅ [${channelId}] Movie "${nextMovie.title}" finished (${exitCode})`);
-        state.nextProcess = null;
-        state.isPlaying = false;
-        state.isPreloading = false;
-        
-        setTimeout(() => playNextMovie(channelId), 2000);
-      },
-      () => {
-        console.log(`🟢 [${channelId}] Movie "${nextMovie.title}" preloaded and ready!`);
-        state.preloadReady = true;
-        resolveOnce(true);
-      },
-      false
-    );
+      const entry = { discontinuity: live.pendingDiscontinuity, uris: {}, durations: {} };
+      renditions.forEach((r, i) => {
+        const seg = bySeq[i].get(seq);
+        entry.uris[r.name] = seg.uri;
+        entry.durations[r.name] = seg.duration;
+        live.targetDuration = Math.max(live.targetDuration, Math.ceil(seg.duration));
+      });
 
-    if (!state.nextProcess) {
-      console.error(`❌ [${channelId}] Failed to start FFmpeg process`);
-      state.isPreloading = false;
-      resolveOnce(false);
-      return;
+      const duration = entry.durations[renditions[0].name];
+      const subtitleUri = `segment_${source.slot}_${runId}_${SUBTITLE_RENDITION}_${seq}.vtt`;
+      fs.writeFileSync(
+        path.join(channelOutput, subtitleUri),
+        renderSubtitleSegment(live.subtitleRuns[runId], source.appendedSeconds, source.appendedSeconds + duration)
+      );
+      entry.uris[SUBTITLE_RENDITION] = subtitleUri;
+      entry.durations[SUBTITLE_RENDITION] = duration;
+
+      live.entries.push(entry);
+      live.pendingDiscontinuity = false;
+      source.nextSeq = seq + 1;
+      source.appendedSeconds += duration;
+      changed = true;
     }
 
-    setTimeout(() => {
-      if (!state.preloadReady) {
-        console.log(`⏰ [${channelId}] Preload timeout, verifying manually...`);
-        const masterPath = path.join(channelOutput, `master_${state.nextSlot}.m3u8`);
-        const streamPath = path.join(channelOutput, `stream_${state.nextSlot}.m3u8`);
-        
-        if (fs.existsSync(masterPath) && fs.existsSync(streamPath)) {
-          try {
-            const content = fs.readFileSync(streamPath, 'utf8');
-            const segments = content.match(/segment_.*?\.ts/g);
-            if (segments && segments.length >= 2) {
-              let validCount = 0;
-              for (const seg of segments.slice(0, 2)) {
-                const segPath = path.join(channelOutput, seg);
-                if (fs.existsSync(segPath) && fs.statSync(segPath).size > 5000) {
-                  validCount++;
-                }
-              }
-              
-              if (validCount >= 2) {
-                console.log(`✅ [${channelId}] Manual verification passed`);
-                state.preloadReady = true;
-                resolveOnce(true);
-                return;
-              }
-            }
-          } catch (e) {
-            console.error(`❌ [${channelId}] Manual verification error:`, e.message);
-          }
-        }
-        
-        console.error(`❌ [${channelId}] Preload verification failed - no valid segments`);
-        resolveOnce(false);
-      }
-    }, 25000);
-  });
+    while (live.entries.length > LIVE_PLAYLIST_SIZE) {
+      const removed = live.entries.shift();
+      live.mediaSequence++;
+      if (removed.discontinuity) live.discontinuitySequence++;
+    }
+
+    if (changed) writeLivePlaylists(channelId);
+  } catch (error) {
+    console.error(`❌ [${channelId}] Live playlist sync failed:`, error.message);
+  }
 }
 
-async function playNextMovie(channelId) {
+// ffmpeg no longer deletes its own segments, so drop anything neither playlist still needs
+function sweepStaleSegments(channelId) {
   const state = channelStates[channelId];
-  const channelConfig = channels[channelId];
   const channelOutput = getChannelOutput(channelId);
+  const renditions = getChannelRenditions(channelId);
 
-  if (!channelConfig.queue || channelConfig.queue.length === 0) {
-    console.log(`📺 [${channelId}] Queue empty, returning to ad loop`);
-    state.playingAd = false;
-    state.isPlaying = false;
-    state.preloadReady = false;
-    
-    if (state.currentProcess) {
-      state.currentProcess.kill('SIGKILL');
-      state.currentProcess = null;
-    }
-    
-    setTimeout(() => playAd(channelId), 1000);
-    return;
+  const referenced = new Set();
+  for (const entry of state.livePlaylist.entries) {
+    Object.values(entry.uris).forEach(uri => referenced.add(uri));
   }
-
-  const movie = channelConfig.queue[0];
-  
-  if (!movie || !movie.title || !movie.filePath) {
-    console.error(`❌ [${channelId}] Invalid movie object in queue!`);
-    channelConfig.queue.shift();
-    fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
-    state.preloadReady = false;
-    setTimeout(() => playNextMovie(channelId), 1000);
-    return;
+  for (const slot of ['A', 'B']) {
+    for (const r of renditions) {
+      parseMediaPlaylist(path.join(channelOutput, `stream_${slot}_${r.name}.m3u8`))
+        .forEach(seg => referenced.add(seg.uri));
+    }
   }
 
-  const movieTitle = movie.title;
-  const movieFilePath = movie.filePath;
-
-  if (!state.preloadReady) {
-    console.log(`⏳ [${channelId}] Movie not preloaded, forcing preload...`);
-    
-    if (state.nextProcess) {
-      console.log(`⚠️ [${channelId}] Preload already in progress, waiting...`);
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      if (!state.preloadReady) {
-        console.error(`❌ [${channelId}] Preload still not ready after wait`);
-        setTimeout(() => playNextMovie(channelId), 5000);
-        return;
-      }
-    } else {
-      const preloaded = await preloadNextMovie(channelId);
-      
-      if (!preloaded || !state.preloadReady) {
-        console.error(`❌ [${channelId}] Failed to preload movie, retrying in 5s...`);
-        setTimeout(() => playNextMovie(channelId), 5000);
-        return;
+  try {
+    const now = Date.now();
+    for (const file of fs.readdirSync(channelOutput)) {
+      if (!file.startsWith('segment_') || referenced.has(file)) continue;
+      const filePath = path.join(channelOutput, file);
+      if (now - fs.statSync(filePath).mtimeMs > SEGMENT_RETENTION_MS) {
+        fs.unlinkSync(filePath);
       }
     }
+  } catch (e) {
+    console.error(`Warning: Segment sweep failed for ${channelId}:`, e.message);
   }
+}
 
-  console.log(`🎬 [${channelId}] Now playing "${movieTitle}"`);
+function startLivePlaylist(channelId) {
+  const state = channelStates[channelId];
+  state.livePlaylist = createLivePlaylist();
+  state.liveSyncInterval = setInterval(() => {
+    syncLivePlaylist(channelId);
+    if (++state.livePlaylist.syncCount % 10 === 0) {
+      sweepStaleSegments(channelId);
+    }
+  }, LIVE_SYNC_INTERVAL);
+}
 
-  const oldSlot = state.activeSlot;
-  state.activeSlot = state.nextSlot;
-  state.nextSlot = oldSlot;
+// ==================== SUBTITLES ====================
 
-  if (state.playingAd && state.currentProcess) {
-    state.currentProcess.kill('SIGKILL');
-  }
+function normalizeSubtitleOptions(input) {
+  if (!input) return null;
+  if (typeof input === 'string') input = { mode: input };
 
-  state.currentProcess = state.nextProcess;
-  state.nextProcess = null;
-  state.playingAd = false;
-  state.isPlaying = true;
-  state.preloadReady = false;
+  const mode = input.mode || 'burn';
+  if (!SUBTITLE_MODES.includes(mode)) {
+    throw new Error(`subtitles.mode must be one of: ${SUBTITLE_MODES.join(', ')}`);
+  }
 
-  let switched = false;
-  for (let i = 0; i < 3; i++) {
-    switched = switchActiveStream(channelOutput, state.activeSlot);
-    if (switched) break;
-    console.log(`⏳ [${channelId}] Switch attempt ${i + 1}/3 failed, retrying...`);
-    await new Promise(resolve => setTimeout(resolve, 500));
+  const options = { mode };
+  if (input.file !== undefined) options.file = String(input.file);
+  if (input.stream !== undefined) {
+    const stream = parseInt(input.stream);
+    if (!Number.isInteger(stream) || stream < 0) {
+      throw new Error('subtitles.stream must be an integer >= 0');
+    }
+    options.stream = stream;
   }
+  if (input.language) options.language = String(input.language);
+  if (input.label) options.label = String(input.label);
+  return options;
+}
 
-  if (!switched) {
-    console.error(`❌ [${channelId}] Failed to switch streams after 3 attempts!`);
+// Looks for movie.ass, movie.srt, ... or movie.<language>.srt next to the movie
+function findSidecarSubtitle(filePath, language) {
+  const base = filePath.slice(0, filePath.length - path.extname(filePath).length);
+  const bases = language ? [`${base}.${language}`, base] : [base];
+
+  for (const candidate of bases) {
+    for (const ext of SUBTITLE_SIDECAR_EXTS) {
+      if (fs.existsSync(candidate + ext)) return resolveMediaPath(candidate + ext);
+    }
   }
+  return null;
+}
 
-  const duration = await getVideoDuration(movieFilePath);
-  const startTime = new Date();
-  const endTime = new Date(startTime.getTime() + duration);
+function getSubtitleStreams(filePath) {
+  return probeStreams(filePath, 'subtitle');
+}
 
-  channelConfig.currentMovie = movieTitle;
-  channelConfig.currentStartTime = startTime;
-  channelConfig.currentEndTime = endTime;
-  
-  channelConfig.schedule = await generateDynamicSchedule(channelId, channelConfig, {
-    title: movieTitle,
-    startTime: startTime,
-    endTime: endTime
+function convertToWebVtt(sourcePath, streamIndex, targetPath) {
+  return new Promise((resolve, reject) => {
+    const args = ['-y', '-i', sourcePath, ...(streamIndex !== null ? ['-map', `0:s:${streamIndex}`] : []), '-f', 'webvtt', targetPath];
+    const proc = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    const timeout = setTimeout(() => stopProcess(proc), 120000);
+    let stderr = '';
+
+    proc.stderr.on('data', (data) => {
+      stderr = (stderr + data.toString()).slice(-500);
+    });
+    proc.on('exit', (code) => {
+      clearTimeout(timeout);
+      if (code === 0) return resolve(targetPath);
+      reject(codedError('SUBTITLE_CONVERSION_FAILED', `Subtitle conversion failed: ${stderr.trim().split('\n').pop() || `exit code ${code}`}`));
+    });
+    proc.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(codedError('SUBTITLE_CONVERSION_FAILED', error.message));
+    });
   });
+}
 
-  channelConfig.queue.shift();
-  fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+// Picks the subtitle source for a queue item and, for WebVTT, converts it once up front.
+// `options.file` must already be resolved against the media roots.
+async function prepareSubtitles(itemId, filePath, options) {
+  let file = options.file || null;
+  let stream = null;
+  let language = options.language || null;
+  let label = options.label || null;
 
-  if (channelConfig.queue.length > 0) {
-    setTimeout(async () => {
-      if (!state.nextProcess && !state.preloadReady) {
-        await preloadNextMovie(channelId);
-      }
-    }, 10000);
+  if (!file && options.stream === undefined) {
+    file = findSidecarSubtitle(filePath, language);
   }
+
+  if (!file) {
+    const streams = await getSubtitleStreams(filePath);
+    const chosen = options.stream !== undefined
+      ? streams.find(s => s.index === options.stream)
+      : streams.find(s => !language || s.language === language);
+    if (!chosen) {
+      throw codedError('SUBTITLES_NOT_FOUND', 'No matching subtitle file or stream found');
+    }
+    if (IMAGE_SUBTITLE_CODECS.includes(chosen.codec)) {
+      throw codedError('UNSUPPORTED_SUBTITLES', `Image-based subtitles (${chosen.codec}) are not supported`);
+    }
+    stream = chosen.index;
+    language = language || chosen.language || null;
+    label = label || chosen.title || null;
+  }
+
+  const subtitles = { mode: options.mode, file, stream, language, label: label || language || 'Subtitles' };
+
+  if (options.mode === 'webvtt') {
+    subtitles.vttPath = file && path.extname(file).toLowerCase() === '.vtt'
+      ? file
+      : await convertToWebVtt(file || filePath, file ? null : stream, path.join(subtitlesDir, `${itemId}.vtt`));
+  }
+
+  return subtitles;
 }
 
-async function initializeChannel(channelId) {
-  const channelConfig = channels[channelId];
-  const channelOutput = getChannelOutput(channelId);
+// libass renders ASS styling. With -ss the frames restart at 0, so they are shifted back for the lookup.
+function buildSubtitleFilter(inputPath, subtitles, startOffset) {
+  const source = subtitles.file
+    ? `subtitles=filename=${escapeFilterValue(subtitles.file)}`
+    : `subtitles=filename=${escapeFilterValue(inputPath)}:si=${subtitles.stream}`;
 
-  if (fs.existsSync(channelOutput)) {
-    fs.rmSync(channelOutput, { recursive: true, force: true });
+  if (startOffset > 0) {
+    return `setpts=PTS+${startOffset.toFixed(3)}/TB,${source},setpts=PTS-STARTPTS`;
   }
-  fs.mkdirSync(channelOutput, { recursive: true });
+  return source;
+}
 
-  channelStates[channelId] = {
-    currentProcess: null,
-    nextProcess: null,
-    activeSlot: 'A',
-    nextSlot: 'B',
-    isPlaying: false,
-    playingAd: false,
-    preloadReady: false,
-    isPreloading: false
-  };
+function parseVttTime(value) {
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
 
-  app.use(`/hls/${channelId}`, express.static(channelOutput));
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
 
-  if (channelConfig.queue && channelConfig.queue.length > 0) {
-    console.log(`📺 [${channelId}] Queue has ${channelConfig.queue.length} movies, preloading first movie`);
-    const preloaded = await preloadNextMovie(channelId);
-    
-    if (preloaded) {
-      setTimeout(() => {
-        if (channelStates[channelId].preloadReady) {
-          playNextMovie(channelId);
+function parseVttCues(vttPath) {
+  const content = fs.readFileSync(vttPath, 'utf8').replace(/\r/g, '');
+  const cues = [];
+
+  for (const block of content.split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [start, end] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+    const text = lines.slice(timingIndex + 1).join('\n').trim();
+    if (text) cues.push({ start: parseVttTime(start), end: parseVttTime(end), text });
+  }
+  return cues;
+}
+
+// Remembers which cues belong to an ffmpeg run so its segments can be matched with subtitle segments
+function registerRunSubtitles(channelId, runId, subtitles, startOffset) {
+  const live = channelStates[channelId] && channelStates[channelId].livePlaylist;
+  if (!live) return;
+
+  let cues = [];
+  if (subtitles && subtitles.vttPath) {
+    try {
+      cues = parseVttCues(subtitles.vttPath);
+    } catch (e) {
+      console.error(`❌ [${channelId}] Could not read subtitles ${subtitles.vttPath}:`, e.message);
+    }
+  }
+  live.subtitleRuns[runId] = { cues, startOffset };
+
+  // Only the runs in the two slots can still produce segments
+  const runIds = Object.keys(live.subtitleRuns);
+  runIds.slice(0, Math.max(runIds.length - 4, 0)).forEach(id => delete live.subtitleRuns[id]);
+}
+
+// Cues overlapping [from, to) seconds of the run, timed relative to the start of the run
+function renderSubtitleSegment(run, from, to) {
+  const lines = ['WEBVTT', `X-TIMESTAMP-MAP=MPEGTS:${MPEGTS_START_PTS},LOCAL:00:00:00.000`, ''];
+
+  for (const cue of (run ? run.cues : [])) {
+    const start = cue.start - run.startOffset;
+    const end = cue.end - run.startOffset;
+    if (end <= from || start >= to) continue;
+    lines.push(`${formatVttTime(Math.max(start, 0))} --> ${formatVttTime(end)}`, cue.text, '');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ==================== BRANDING ====================
+
+function getBranding(channelId) {
+  return { ...DEFAULT_BRANDING, ...((channels[channelId] && channels[channelId].branding) || {}) };
+}
+
+function normalizeBranding(input, current = DEFAULT_BRANDING) {
+  const branding = { ...current };
+
+  if (input.watermarkText !== undefined) {
+    branding.watermarkText = input.watermarkText === null ? '' : String(input.watermarkText);
+  }
+
+  if (input.logoPath !== undefined) {
+    if (input.logoPath === null || input.logoPath === '') {
+      branding.logoPath = null;
+    } else {
+      const logoPath = resolveMediaPath(input.logoPath, [adDir]);
+      if (path.extname(logoPath).toLowerCase() !== '.png') {
+        throw new Error('logoPath must point to a PNG file');
+      }
+      branding.logoPath = logoPath;
+    }
+  }
+
+  for (const key of ['position', 'lowerThirdPosition']) {
+    if (input[key] === undefined) continue;
+    if (!BRANDING_POSITIONS.includes(input[key])) {
+      throw new Error(`${key} must be one of: ${BRANDING_POSITIONS.join(', ')}`);
+    }
+    branding[key] = input[key];
+  }
+
+  if (input.opacity !== undefined) {
+    const opacity = Number(input.opacity);
+    if (!Number.isFinite(opacity) || opacity < 0 || opacity > 1) {
+      throw new Error('opacity must be a number between 0 and 1');
+    }
+    branding.opacity = opacity;
+  }
+
+  for (const key of ['logoWidth', 'fontSize', 'lowerThirdFontSize']) {
+    if (input[key] === undefined) continue;
+    const value = parseInt(input[key]);
+    if (!Number.isInteger(value) || value < 8 || value > 1920) {
+      throw new Error(`${key} must be an integer between 8 and 1920`);
+    }
+    branding[key] = value;
+  }
+
+  if (input.lowerThirdSeconds !== undefined) {
+    const seconds = Number(input.lowerThirdSeconds);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      throw new Error('lowerThirdSeconds must be a number >= 0');
+    }
+    branding.lowerThirdSeconds = seconds;
+  }
+
+  if (input.lowerThird !== undefined) {
+    branding.lowerThird = !!input.lowerThird;
+  }
+
+  if (input.font !== undefined) {
+    branding.font = input.font ? String(input.font) : null;
+  }
+
+  if (input.fontColor !== undefined) {
+    if (!/^([a-zA-Z]+|#[0-9a-fA-F]{6})$/.test(String(input.fontColor))) {
+      throw new Error('fontColor must be a color name or #rrggbb');
+    }
+    branding.fontColor = String(input.fontColor);
+  }
+
+  return branding;
+}
+
+function getTextPosition(position) {
+  return {
+    'top-left': 'x=20:y=20',
+    'top-right': 'x=w-tw-20:y=20',
+    'bottom-left': 'x=20:y=h-th-20',
+    'bottom-right': 'x=w-tw-20:y=h-th-20'
+  }[position];
+}
+
+function getOverlayPosition(position) {
+  return {
+    'top-left': 'x=20:y=20',
+    'top-right': 'x=W-w-20:y=20',
+    'bottom-left': 'x=20:y=H-h-20',
+    'bottom-right': 'x=W-w-20:y=H-h-20'
+  }[position];
+}
+
+// Expansion is off so titles containing % are drawn as typed
+function buildDrawText(text, { position, fontSize, fontColor, opacity, font, seconds }) {
+  const options = [
+    `text=${escapeFilterValue(String(text).replace(/[\r\n\t]+/g, ' '))}`,
+    'expansion=none',
+    `fontcolor=${escapeFilterValue(`${fontColor}@${opacity}`)}`,
+    `fontsize=${fontSize}`,
+    getTextPosition(position)
+  ];
+  if (font) options.push(`font=${escapeFilterValue(font)}`);
+  if (seconds > 0) options.push(`enable=${escapeFilterValue(`lt(t,${seconds})`)}`);
+  return `drawtext=${options.join(':')}`;
+}
+
+// Returns the filters drawn onto [0:v] and, when a logo is used, the extra input and overlay step
+function buildBrandingFilters(branding, movieTitle, isAd) {
+  const textFilters = [];
+
+  if (!branding.logoPath && branding.watermarkText) {
+    textFilters.push(buildDrawText(branding.watermarkText, {
+      position: branding.position,
+      fontSize: branding.fontSize,
+      fontColor: branding.fontColor,
+      opacity: branding.opacity,
+      font: branding.font
+    }));
+  }
+
+  if (!isAd && branding.lowerThird && movieTitle) {
+    textFilters.push(buildDrawText(movieTitle, {
+      position: branding.lowerThirdPosition,
+      fontSize: branding.lowerThirdFontSize,
+      fontColor: branding.fontColor,
+      opacity: 1,
+      font: branding.font,
+      seconds: branding.lowerThirdSeconds
+    }));
+  }
+
+  const logo = branding.logoPath && fs.existsSync(branding.logoPath)
+    ? {
+      input: branding.logoPath,
+      filter: `scale=${branding.logoWidth}:-1,format=rgba,colorchannelmixer=aa=${branding.opacity}`,
+      overlay: `overlay=${getOverlayPosition(branding.position)}`
+    }
+    : null;
+
+  return { textFilters, logo };
+}
+
+// ==================== MEDIA LIBRARY ====================
+
+// Probes of the same file that are already running, so concurrent adds share one ffprobe
+const pendingProbes = new Map();
+
+// One ffprobe run for everything the library records
+function probeMedia(filePath) {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      console.log(`Timeout probing ${filePath}`);
+      resolve(null);
+    }, 10000);
+
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      clearTimeout(timeout);
+      if (err || !metadata) {
+        console.error(`Error probing ${filePath}:`, err ? err.message : 'no metadata');
+        return resolve(null);
+      }
+      resolve(metadata);
+    });
+  });
+}
+
+function parseFrameRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  return num && den ? Math.round((num / den) * 1000) / 1000 : null;
+}
+
+// Cover art is stored as a video stream too; the first real one is described
+function describeVideo(metadata) {
+  const stream = metadata.streams.find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+  if (!stream) return null;
+  return {
+    codec: stream.codec_name,
+    profile: stream.profile || null,
+    level: stream.level ?? null,
+    pixelFormat: stream.pix_fmt || null,
+    width: stream.width,
+    height: stream.height,
+    frameRate: parseFrameRate(stream.avg_frame_rate || stream.r_frame_rate)
+  };
+}
+
+function findMediaByPath(filePath) {
+  return Object.values(library).find(entry => entry.filePath === filePath) || null;
+}
+
+// An entry is only trusted while the file keeps the size and mtime it was probed with
+function isMediaFresh(entry) {
+  try {
+    const stat = fs.statSync(entry.filePath);
+    return stat.mtimeMs === entry.mtimeMs && stat.size === entry.size;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Library entry of a queue or calendar item without probing; null when the file is unknown, changed or never probed
+function getCachedMedia(item) {
+  const entry = (item.mediaId && library[item.mediaId]) || findMediaByPath(item.filePath);
+  return entry && !entry.probeFailed && isMediaFresh(entry) ? entry : null;
+}
+
+// Records a file once; a known file is only probed again after its mtime or size changed, or if its last probe failed
+function registerMedia(filePath, info = {}) {
+  if (pendingProbes.has(filePath)) return pendingProbes.get(filePath);
+
+  const probe = (async () => {
+    const stat = fs.statSync(filePath);
+    const existing = findMediaByPath(filePath);
+    if (existing && !existing.probeFailed && existing.mtimeMs === stat.mtimeMs && existing.size === stat.size) {
+      return existing;
+    }
+
+    const metadata = await probeMedia(filePath);
+    const entry = {
+      ...existing,
+      id: existing ? existing.id : `media_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      title: (existing && existing.title) || info.title || path.parse(filePath).name,
+      filePath,
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      duration: metadata && metadata.format.duration ? metadata.format.duration * 1000 : 90 * 60 * 1000,
+      container: metadata ? metadata.format.format_name : null,
+      bitRate: metadata && metadata.format.bit_rate ? Number(metadata.format.bit_rate) : null,
+      video: metadata ? describeVideo(metadata) : null,
+      audioTracks: metadata ? toAudioTracks(listStreams(metadata, 'audio')) : [],
+      subtitleTracks: metadata ? listStreams(metadata, 'subtitle') : [],
+      // A verified upload checksum saves reading the file again
+      checksum: info.checksum || null,
+      addedBy: (existing && existing.addedBy) || info.addedBy || null,
+      addedAt: existing ? existing.addedAt : new Date().toISOString(),
+      probedAt: new Date().toISOString(),
+      probeFailed: !metadata
+    };
+
+    library[entry.id] = entry;
+    fs.writeFileSync(libraryFile, JSON.stringify(library, null, 2));
+    console.log(`📚 ${existing ? 'Refreshed' : 'Added'} ${filePath} in the library`);
+
+    if (!entry.checksum) hashMediaInBackground(entry.id);
+    if (entry.video && entry.video.codec === 'h264') measureKeyframesInBackground(entry.id);
+    return entry;
+  })();
+
+  pendingProbes.set(filePath, probe);
+  probe.then(() => pendingProbes.delete(filePath), () => pendingProbes.delete(filePath));
+  return probe;
+}
+
+// Longest gap between keyframes in the first minute, in seconds; only keyframes are decoded
+function probeKeyframeInterval(filePath) {
+  return new Promise((resolve) => {
+    const proc = spawn('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-skip_frame', 'nokey',
+      '-show_entries', 'frame=pts_time',
+      '-read_intervals', '%+60',
+      '-of', 'csv=p=0',
+      filePath
+    ]);
+    const timeout = setTimeout(() => proc.kill('SIGKILL'), 30000);
+    let output = '';
+
+    proc.stdout.on('data', (data) => {
+      output += data;
+    });
+    proc.on('error', () => {
+      clearTimeout(timeout);
+      resolve(null);
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timeout);
+      const times = output.split('\n').map(parseFloat).filter(time => !isNaN(time));
+      if (code !== 0 || times.length < 2) return resolve(null);
+
+      let interval = 0;
+      for (let i = 1; i < times.length; i++) {
+        interval = Math.max(interval, times[i] - times[i - 1]);
+      }
+      resolve(Math.round(interval * 1000) / 1000);
+    });
+  });
+}
+
+// Media IDs whose keyframes are being measured
+const pendingKeyframeProbes = new Set();
+
+// Only passthrough needs the keyframe spacing, so it is measured after the entry is usable
+function measureKeyframesInBackground(mediaId) {
+  if (pendingKeyframeProbes.has(mediaId)) return;
+  pendingKeyframeProbes.add(mediaId);
+
+  const entry = library[mediaId];
+  probeKeyframeInterval(entry.filePath).then((interval) => {
+    pendingKeyframeProbes.delete(mediaId);
+    const current = library[mediaId];
+    if (current && current.video && current.mtimeMs === entry.mtimeMs && isMediaFresh(current)) {
+      current.video.keyframeInterval = interval;
+      fs.writeFileSync(libraryFile, JSON.stringify(library, null, 2));
+    }
+  });
+}
+
+// Large files take a while to hash, so the entry is usable before its checksum is known
+function hashMediaInBackground(mediaId) {
+  const entry = library[mediaId];
+  hashFile(entry.filePath)
+    .then((checksum) => {
+      const current = library[mediaId];
+      // Skip the result if the file changed while it was being read
+      if (current && current.mtimeMs === entry.mtimeMs && isMediaFresh(current)) {
+        current.checksum = checksum;
+        fs.writeFileSync(libraryFile, JSON.stringify(library, null, 2));
+      }
+    })
+    .catch(e => console.error(`⚠️ Could not hash ${entry.filePath}: ${e.message}`));
+}
+
+// Duration of an item from the library; files it has not seen (or that changed) are probed once and recorded
+async function getMediaDuration(item) {
+  if (item.isAd && item.duration) return item.duration;
+
+  const cached = getCachedMedia(item);
+  if (cached) return cached.duration;
+
+  try {
+    const media = await registerMedia(item.filePath);
+    // Items queued before the library existed pick up their ID here
+    if (!item.mediaId) item.mediaId = media.id;
+    return media.duration;
+  } catch (e) {
+    return item.duration || 90 * 60 * 1000;
+  }
+}
+
+function formatMedia(entry) {
+  return {
+    ...entry,
+    available: fs.existsSync(entry.filePath),
+    stale: !isMediaFresh(entry)
+  };
+}
+
+// Case-insensitive match on title and file name, plus collection, codec, audio language and duration filters (seconds)
+function searchLibrary({ q, collection, codec, language, minDuration, maxDuration }) {
+  const query = q ? String(q).toLowerCase() : null;
+  const minMs = minDuration !== undefined ? Number(minDuration) * 1000 : null;
+  const maxMs = maxDuration !== undefined ? Number(maxDuration) * 1000 : null;
+
+  return Object.values(library)
+    .filter(entry => !query ||
+      entry.title.toLowerCase().includes(query) ||
+      path.basename(entry.filePath).toLowerCase().includes(query))
+    .filter(entry => !collection || (entry.collections || []).includes(collection))
+    .filter(entry => !codec || (entry.video && entry.video.codec === codec))
+    .filter(entry => !language || entry.audioTracks.some(t => t.language === language))
+    .filter(entry => minMs === null || entry.duration >= minMs)
+    .filter(entry => maxMs === null || entry.duration <= maxMs)
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+// ==================== LIVE EVENTS ====================
+
+// Open Server-Sent Events streams; `channelId` is null for the global stream
+const eventClients = new Set();
+let eventSeq = 0;
+
+function formatEvent(type, data) {
+  return `id: ${++eventSeq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function canClientSee(client, channelId) {
+  const config = channels[channelId];
+  return (config && !config.private) || hasAccess(client.key, 'viewer', channelId);
+}
+
+// Channel streams were authorized when opened; global ones only get channels their key can view.
+// With `role`, the stream's key must also hold that role for the channel, as job details are not public.
+function publishEvent(channelId, type, data, role) {
+  if (eventClients.size === 0) return;
+
+  const message = formatEvent(type, { channelId, ...data });
+  for (const client of eventClients) {
+    if (client.channelId ? client.channelId !== channelId : !canClientSee(client, channelId)) continue;
+    if (role && !hasAccess(client.key, role, channelId)) continue;
+    client.res.write(message);
+  }
+}
+
+function formatNowPlaying(channelId) {
+  const channelConfig = channels[channelId];
+  const state = channelStates[channelId];
+  return {
+    name: channelConfig.name,
+    currentMovie: channelConfig.currentMovie,
+    startTime: channelConfig.currentStartTime ? new Date(channelConfig.currentStartTime).toISOString() : null,
+    endTime: channelConfig.currentEndTime ? new Date(channelConfig.currentEndTime).toISOString() : null,
+    isLive: state?.isPlaying || false,
+    playingAd: state?.playingAd || false,
+    inBreak: state?.currentItem?.isAd || false,
+    stopped: channelConfig.stopped || false,
+    queueLength: channelConfig.queue?.length || 0
+  };
+}
+
+function publishNowPlaying(channelId) {
+  publishEvent(channelId, 'now-playing', formatNowPlaying(channelId));
+}
+
+// Same entries GET /api/schedule returns by default
+function formatScheduleEvent(channelId) {
+  const timeZone = getChannelTimezone(channelId);
+  return { schedule: (channels[channelId].schedule || []).map(entry => localizeScheduleEntry(entry, timeZone)) };
+}
+
+function publishSchedule(channelId) {
+  publishEvent(channelId, 'schedule', formatScheduleEvent(channelId));
+}
+
+// Sends the current state of each visible channel first, so clients need no separate fetch
+function openEventStream(req, res, channelId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  const client = { res, channelId, key: resolveApiKey(req) || null };
+  const channelIds = channelId ? [channelId] : Object.keys(channels).filter(id => canClientSee(client, id));
+  channelIds.forEach(id => res.write(formatEvent('now-playing', { channelId: id, ...formatNowPlaying(id) })));
+  if (channelId) res.write(formatEvent('schedule', { channelId, ...formatScheduleEvent(channelId) }));
+
+  eventClients.add(client);
+  req.on('close', () => eventClients.delete(client));
+}
+
+// ==================== METRICS ====================
+
+// Counters since boot, by metric name and then by label set
+const counters = {};
+// Preload latency histograms by channel
+const preloadLatency = {};
+// Channel ffmpeg workers that have been spawned and have not exited yet
+const runningProcesses = new Set();
+
+function incrementCounter(name, labels, value = 1) {
+  const key = JSON.stringify(labels);
+  counters[name] = counters[name] || {};
+  counters[name][key] = (counters[name][key] || 0) + value;
+}
+
+function observePreload(channelId, result, startedAt) {
+  incrementCounter('axstream_preloads_total', { channel: channelId, result });
+  if (result !== 'success') return;
+
+  const seconds = (Date.now() - startedAt) / 1000;
+  const histogram = preloadLatency[channelId] = preloadLatency[channelId] || {
+    buckets: PRELOAD_LATENCY_BUCKETS.map(() => 0),
+    sum: 0,
+    count: 0
+  };
+  PRELOAD_LATENCY_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+// Counted per request once the response is sent; 304s and aborted requests count no bytes
+function trackHlsRequest(channelId, req, res) {
+  const type = req.path.endsWith('.m3u8') ? 'playlist' : 'segment';
+  res.on('finish', () => {
+    incrementCounter('axstream_hls_requests_total', { channel: channelId, type });
+    incrementCounter('axstream_hls_bytes_total', { channel: channelId, type }, Number(res.getHeader('Content-Length')) || 0);
+  });
+}
+
+// Age of the newest segment handed to viewers, or null before the first one
+function getNewestSegmentAge(channelId) {
+  const state = channelStates[channelId];
+  const live = state && state.livePlaylist;
+  const newest = live && live.entries[live.entries.length - 1];
+  if (!newest) return null;
+
+  const uri = newest.uris[getChannelRenditions(channelId)[0].name];
+  try {
+    return (Date.now() - fs.statSync(path.join(getChannelOutput(channelId), uri)).mtimeMs) / 1000;
+  } catch (e) {
+    return null;
+  }
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Prometheus text format; series labelled with a channel are left out unless `canSee` allows that channel
+function renderMetrics(canSee) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    samples
+      .filter(([labels]) => !labels.channel || canSee(labels.channel))
+      .forEach(([labels, value, suffix = '']) => lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`));
+  };
+  const counterSamples = name => Object.entries(counters[name] || {}).map(([key, value]) => [JSON.parse(key), value]);
+
+  const processCounts = {};
+  runningProcesses.forEach((proc) => {
+    const key = JSON.stringify({ channel: proc.channelId, slot: proc.slotId });
+    processCounts[key] = (processCounts[key] || 0) + 1;
+  });
+  metric('axstream_ffmpeg_processes', 'gauge', 'Running ffmpeg workers by channel and slot',
+    Object.entries(processCounts).map(([key, value]) => [JSON.parse(key), value]));
+  metric('axstream_ffmpeg_starts_total', 'counter', 'ffmpeg workers started, by channel, slot, kind and mode (transcode or passthrough)',
+    counterSamples('axstream_ffmpeg_starts_total'));
+  metric('axstream_encodes', 'gauge', 'Running workers that re-encode video, across all channels',
+    [[{}, countEncodes()]]);
+  metric('axstream_encode_limit', 'gauge', 'MAX_CONCURRENT_ENCODES',
+    [[{}, MAX_CONCURRENT_ENCODES]]);
+  metric('axstream_preloads_waiting', 'gauge', 'Preloads waiting for an encoder',
+    [[{}, encoderWaiters.length]]);
+  metric('axstream_ffmpeg_exits_total', 'counter', 'ffmpeg worker exits by exit code; stopped="true" when killed on purpose',
+    counterSamples('axstream_ffmpeg_exits_total'));
+  metric('axstream_channel_restarts_total', 'counter', 'Channel output rebuilds',
+    counterSamples('axstream_channel_restarts_total'));
+  metric('axstream_preloads_total', 'counter', 'Preloads by result (success, failure, cancelled)',
+    counterSamples('axstream_preloads_total'));
+
+  const histogramSamples = [];
+  Object.entries(preloadLatency).forEach(([channel, histogram]) => {
+    PRELOAD_LATENCY_BUCKETS.forEach((le, i) => histogramSamples.push([{ channel, le }, histogram.buckets[i], '_bucket']));
+    histogramSamples.push([{ channel, le: '+Inf' }, histogram.count, '_bucket']);
+    histogramSamples.push([{ channel }, histogram.sum, '_sum']);
+    histogramSamples.push([{ channel }, histogram.count, '_count']);
+  });
+  metric('axstream_preload_duration_seconds', 'histogram', 'Time from starting a preload until its slot is playable',
+    histogramSamples);
+
+  metric('axstream_stalls_total', 'counter', 'Frozen on-air workers by recovery action',
+    counterSamples('axstream_stalls_total'));
+  metric('axstream_switch_failures_total', 'counter', 'switchActiveStream calls that could not switch slots',
+    counterSamples('axstream_switch_failures_total'));
+  metric('axstream_newest_segment_age_seconds', 'gauge', 'Seconds since the newest live segment was written',
+    Object.keys(channelStates)
+      .map(channel => [{ channel }, getNewestSegmentAge(channel)])
+      .filter(([, age]) => age !== null));
+
+  const jobCounts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  Object.values(jobs)
+    .filter(job => canSee(job.channelId))
+    .forEach((job) => {
+      if (jobCounts[job.status] !== undefined) jobCounts[job.status]++;
+    });
+  metric('axstream_jobs', 'gauge', 'Jobs by status',
+    Object.entries(jobCounts).map(([status, value]) => [{ status }, value]));
+
+  metric('axstream_viewers', 'gauge', 'Estimated concurrent viewers',
+    Object.keys(channelStates).map(channel => [{ channel }, getViewerCount(channel)]));
+  metric('axstream_hls_requests_total', 'counter', 'HLS playlist and segment requests served',
+    counterSamples('axstream_hls_requests_total'));
+  metric('axstream_hls_bytes_total', 'counter', 'HLS bytes served',
+    counterSamples('axstream_hls_bytes_total'));
+
+  return lines.join('\n') + '\n';
+}
+
+// ==================== ANALYTICS ====================
+
+// Sessions seen per channel: session ID → time of its last HLS request
+const viewerSessions = {};
+// The airing watch time is credited to, per channel
+const currentAirings = {};
+
+// Players may send ?sid=; otherwise a viewer is its address and user agent
+function getViewerSessionId(req) {
+  if (typeof req.query.sid === 'string' && req.query.sid) {
+    return `sid:${req.query.sid.slice(0, 64)}`;
+  }
+  const ip = (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket.remoteAddress;
+  return crypto.createHash('sha1').update(`${ip}|${req.headers['user-agent'] || ''}`).digest('hex').slice(0, 16);
+}
+
+function getViewerCount(channelId) {
+  const sessions = viewerSessions[channelId];
+  if (!sessions) return 0;
+
+  const cutoff = Date.now() - VIEWER_WINDOW_MS;
+  for (const [sessionId, seenAt] of sessions) {
+    if (seenAt < cutoff) sessions.delete(sessionId);
+  }
+  return sessions.size;
+}
+
+let analyticsSaveTimer = null;
+let analyticsSaving = false;
+
+// The history is large and HLS is served from the same event loop, so writes are batched and done asynchronously.
+// Writes never overlap, and the file is replaced in one rename so a crash cannot leave it half-written.
+function saveAnalytics() {
+  if (analyticsSaveTimer) return;
+  analyticsSaveTimer = setTimeout(() => {
+    analyticsSaveTimer = null;
+    if (analyticsSaving) {
+      saveAnalytics();
+      return;
+    }
+
+    analyticsSaving = true;
+    const tempFile = `${analyticsFile}.tmp`;
+    fs.promises.writeFile(tempFile, JSON.stringify(analytics, null, 2))
+      .then(() => fs.promises.rename(tempFile, analyticsFile))
+      .catch(error => console.error(`❌ Failed to save analytics: ${error.message}`))
+      .finally(() => {
+        analyticsSaving = false;
+      });
+  }, ANALYTICS_SAVE_DELAY_MS);
+}
+
+function getChannelAnalytics(channelId) {
+  if (!analytics[channelId]) analytics[channelId] = { samples: [], airings: [] };
+  return analytics[channelId];
+}
+
+// Duration of a live segment by file name; segments already out of the window count as a full target duration.
+// Only the ladder variants count: a player fetches one of them, plus alternate audio on top that would count twice.
+function getSegmentDuration(channelId, uri) {
+  const live = channelStates[channelId] && channelStates[channelId].livePlaylist;
+  if (!live) return 0;
+
+  const match = uri.match(/^segment_[AB]_[a-z0-9]+_(.+)_\d+\.ts$/);
+  if (!match || !getRenditionLadder(channelId).some(r => r.name === match[1])) return 0;
+
+  for (const entry of live.entries) {
+    const name = Object.keys(entry.uris).find(key => entry.uris[key] === uri);
+    if (name) return entry.durations[name];
+  }
+  return live.targetDuration;
+}
+
+// Every playlist or segment request keeps its session alive; each ladder segment fetched adds its length to the watch time
+function trackViewer(channelId, req) {
+  if (!/\.(m3u8|ts)$/.test(req.path)) return;
+
+  const sessionId = getViewerSessionId(req);
+  if (!viewerSessions[channelId]) viewerSessions[channelId] = new Map();
+  viewerSessions[channelId].set(sessionId, Date.now());
+
+  const airing = currentAirings[channelId];
+  if (!airing) return;
+  airing.sessions.add(sessionId);
+  airing.peakViewers = Math.max(airing.peakViewers, getViewerCount(channelId));
+  if (req.path.endsWith('.ts')) {
+    airing.watchSeconds += getSegmentDuration(channelId, path.basename(req.path));
+  }
+}
+
+function formatAiring(airing) {
+  const { sessions, ...rest } = airing;
+  return { ...rest, watchSeconds: Math.round(airing.watchSeconds), uniqueViewers: sessions.size };
+}
+
+// Watch time goes to the item playNextMovie put on air (or the ad loop) until something replaces it
+function startAiring(channelId, item) {
+  closeAiring(channelId);
+  currentAirings[channelId] = {
+    itemId: item.id || null,
+    title: item.title,
+    mediaId: item.mediaId || null,
+    isAd: !!item.isAd,
+    startedAt: new Date().toISOString(),
+    watchSeconds: 0,
+    peakViewers: getViewerCount(channelId),
+    sessions: new Set()
+  };
+}
+
+function closeAiring(channelId) {
+  const airing = currentAirings[channelId];
+  if (!airing) return;
+  delete currentAirings[channelId];
+
+  const data = getChannelAnalytics(channelId);
+  data.airings.push({ ...formatAiring(airing), endedAt: new Date().toISOString() });
+  pruneAnalytics(data);
+  saveAnalytics();
+}
+
+function pruneAnalytics(data) {
+  const cutoff = Date.now() - ANALYTICS_RETENTION_MS;
+  data.samples = data.samples.filter(sample => new Date(sample.at).getTime() >= cutoff);
+  data.airings = data.airings.filter(airing => new Date(airing.endedAt).getTime() >= cutoff);
+}
+
+function sampleViewers() {
+  for (const channelId of Object.keys(channelStates)) {
+    const data = getChannelAnalytics(channelId);
+    data.samples.push({ at: new Date().toISOString(), viewers: getViewerCount(channelId) });
+    pruneAnalytics(data);
+  }
+  saveAnalytics();
+}
+
+// Airings in the window, including the one on air, and their totals per title
+function getAnalyticsReport(channelId, hours) {
+  const since = Date.now() - hours * 60 * 60 * 1000;
+  const data = getChannelAnalytics(channelId);
+  const current = currentAirings[channelId] ? formatAiring(currentAirings[channelId]) : null;
+
+  const airings = data.airings.filter(airing => new Date(airing.endedAt).getTime() >= since);
+  if (current) airings.push(current);
+
+  const titles = {};
+  for (const airing of airings) {
+    const key = airing.mediaId || airing.title;
+    const total = titles[key] = titles[key] || {
+      title: airing.title,
+      mediaId: airing.mediaId,
+      isAd: airing.isAd,
+      airings: 0,
+      watchSeconds: 0,
+      peakViewers: 0,
+      uniqueViewers: 0
+    };
+    total.airings++;
+    total.watchSeconds += airing.watchSeconds;
+    total.peakViewers = Math.max(total.peakViewers, airing.peakViewers);
+    // Summed per airing, so someone who watched two airings counts twice
+    total.uniqueViewers += airing.uniqueViewers;
+  }
+
+  return {
+    channelId,
+    viewers: getViewerCount(channelId),
+    current,
+    samples: data.samples.filter(sample => new Date(sample.at).getTime() >= since),
+    airings: airings.reverse(),
+    titles: Object.values(titles).sort((a, b) => b.watchSeconds - a.watchSeconds)
+  };
+}
+
+// ==================== WATCHDOG ====================
+
+// Last sign of life from a worker: ffmpeg frame progress, or the newest segment and playlist it wrote
+function getLastOutputAt(channelId, proc) {
+  const channelOutput = getChannelOutput(channelId);
+  const playlistPath = path.join(channelOutput, getSlotPlaylistName(channelId, proc.slotId, getChannelRenditions(channelId)[0]));
+  let lastAt = Math.max(proc.startedAt, proc.lastFrameAt || 0);
+
+  try {
+    lastAt = Math.max(lastAt, fs.statSync(playlistPath).mtimeMs);
+    const segments = parseMediaPlaylist(playlistPath);
+    if (segments.length > 0) {
+      lastAt = Math.max(lastAt, fs.statSync(path.join(channelOutput, segments[segments.length - 1].uri)).mtimeMs);
+    }
+  } catch (e) {
+    // Nothing written yet; start time and frame progress decide
+  }
+  return lastAt;
+}
+
+function recordIncident(channelId, incident) {
+  const channelConfig = channels[channelId];
+  const entry = { at: new Date().toISOString(), ...incident };
+
+  channelConfig.incidents = [...(channelConfig.incidents || []), entry].slice(-MAX_INCIDENTS);
+  fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+
+  incrementCounter('axstream_stalls_total', { channel: channelId, action: incident.action });
+  publishEvent(channelId, 'incident', entry);
+}
+
+function checkChannelStall(channelId) {
+  const state = channelStates[channelId];
+  const proc = state && state.currentProcess;
+  if (!proc || proc.stopped || proc.stallRecovery || state.isSwitching) return;
+
+  const stalledMs = Date.now() - getLastOutputAt(channelId, proc);
+  if (stalledMs >= STALL_TIMEOUT_MS) {
+    recoverStalledChannel(channelId, proc, stalledMs);
+  }
+}
+
+// A frozen movie is restarted once where viewers left it; if that stalls too (or it was an ad), the next
+// item takes over, which is the ad loop when nothing is left. A frozen ad loop is simply started again.
+function recoverStalledChannel(channelId, proc, stalledMs) {
+  const state = channelStates[channelId];
+  const item = state.currentItem;
+  const title = state.playingAd ? 'Ad Loop' : (item ? item.title : channels[channelId].currentMovie);
+
+  let action = 'failover';
+  if (state.playingAd) {
+    action = 'restart-ad-loop';
+  } else if (item && !item.isAd && !item.stallRestarted) {
+    action = 'restart';
+  }
+
+  console.error(`🚨 [${channelId}] Slot ${proc.slotId} frozen for ${Math.round(stalledMs / 1000)}s while playing "${title}", ${action}`);
+  recordIncident(channelId, {
+    type: 'stall',
+    action,
+    slot: proc.slotId,
+    title,
+    stalledSeconds: Math.round(stalledMs / 1000),
+    lastFrame: proc.lastFrame || null
+  });
+  proc.stallRecovery = action;
+
+  stopProcess(proc);
+  state.currentProcess = null;
+  state.isPlaying = false;
+  state.playingAd = false;
+  pumpEncoders();
+
+  if (action === 'restart') {
+    const watchedSeconds = state.livePlaylist.source ? state.livePlaylist.source.appendedSeconds : 0;
+    clearProgramTimers(channelId);
+    state.breakQueue = [];
+    state.resumeItem = { ...item, offset: (item.offset || 0) + watchedSeconds, stallRestarted: true };
+    // Whatever was preloaded no longer plays next
+    reconcilePreload(channelId);
+  } else if (action === 'failover' && state.resumeItem && state.resumeItem.stallRestarted) {
+    // A restart that never made it on air is abandoned along with the frozen worker
+    state.resumeItem = null;
+  }
+
+  if (!getNextItem(channelId)) {
+    playAd(channelId);
+    return;
+  }
+  // The ad loop covers the gap until the next item is preloaded
+  playAd(channelId, true);
+  playNextMovie(channelId);
+}
+
+// ==================== TRANSCODING ====================
+
+// Preloads waiting for an encoder, served earliest deadline first
+const encoderWaiters = [];
+
+// Frozen workers burn no CPU and are about to be replaced, so they do not hold an encoder
+function countEncodes() {
+  let count = 0;
+  runningProcesses.forEach((proc) => {
+    if (proc.transcoding && !proc.stopped && !proc.stallRecovery) count++;
+  });
+  return count;
+}
+
+// Nothing but filler, a frozen worker or nothing at all is on air, so the start may go over the budget
+function isStartUrgent(channelId) {
+  const state = channelStates[channelId];
+  const proc = state.currentProcess;
+  return !proc || proc.stallRecovery || state.playingAd || (state.currentEndsAt !== null && state.currentEndsAt <= Date.now());
+}
+
+function waitForEncoder(channelId, start, cancel) {
+  const state = channelStates[channelId];
+  const waiter = { channelId, start, cancel, deadline: state.currentEndsAt || Date.now() };
+  encoderWaiters.push(waiter);
+  state.encoderWaiter = waiter;
+  pumpEncoders();
+  if (state.encoderWaiter === waiter) {
+    console.log(`⏳ [${channelId}] All ${MAX_CONCURRENT_ENCODES} encoders busy, preload waits for one`);
+  }
+}
+
+// Runs on every enqueue and worker exit, and periodically
+function pumpEncoders() {
+  encoderWaiters.sort((a, b) => a.deadline - b.deadline);
+  for (const waiter of [...encoderWaiters]) {
+    if (countEncodes() >= MAX_CONCURRENT_ENCODES && !isStartUrgent(waiter.channelId)) continue;
+    encoderWaiters.splice(encoderWaiters.indexOf(waiter), 1);
+    channelStates[waiter.channelId].encoderWaiter = null;
+    waiter.start();
+  }
+}
+
+function cancelEncoderWait(channelId) {
+  const state = channelStates[channelId];
+  const waiter = state.encoderWaiter;
+  if (!waiter) return;
+
+  encoderWaiters.splice(encoderWaiters.indexOf(waiter), 1);
+  state.encoderWaiter = null;
+  waiter.cancel();
+}
+
+// A source that can be copied as it is becomes a single variant, named after the smallest rung it fits, that
+// stands in for the whole ladder; otherwise { reason } says why it has to be re-encoded
+function planPassthrough(channelId, item, movieTitle, isAd) {
+  const media = getCachedMedia(item);
+  if (!media || !media.video) return { reason: 'not probed' };
+
+  const video = media.video;
+  if (video.codec !== 'h264' || !PASSTHROUGH_PROFILES[video.profile] || video.pixelFormat !== 'yuv420p') {
+    return { reason: 'video is not 8-bit 4:2:0 H.264' };
+  }
+  if (media.audioTracks.length === 0 || media.audioTracks.some(track => track.codec !== 'aac')) {
+    return { reason: 'audio is not AAC' };
+  }
+  if (item.subtitles && item.subtitles.mode === 'burn') return { reason: 'subtitles are burned in' };
+  // The level goes into the CODECS attribute, which players use to decide whether they can decode the stream
+  if (!Number.isInteger(video.level) || video.level <= 0) return { reason: 'level unknown' };
+
+  const { textFilters, logo } = buildBrandingFilters(getBranding(channelId), movieTitle, isAd);
+  if (textFilters.length > 0 || logo) return { reason: 'branding is drawn on the picture' };
+
+  const rung = getRenditionLadder(channelId)
+    .filter(r => !r.audioOnly)
+    .sort((a, b) => a.width * a.height - b.width * b.height)
+    .find(r => video.width <= r.width && video.height <= r.height);
+  if (!rung) return { reason: 'larger than every rendition' };
+  const budget = rung.videoBitrate + rung.audioBitrate;
+  if (!media.bitRate || media.bitRate / 1000 > budget * PASSTHROUGH_BITRATE_HEADROOM) {
+    return { reason: `bitrate too close to ${rung.name}` };
+  }
+
+  if (video.keyframeInterval === undefined) {
+    measureKeyframesInBackground(media.id);
+    return { reason: 'keyframe spacing not measured yet' };
+  }
+  if (!(video.keyframeInterval <= PASSTHROUGH_MAX_KEYFRAME_INTERVAL)) return { reason: 'keyframes too far apart' };
+
+  return {
+    reason: null,
+    variant: {
+      name: rung.name,
+      width: video.width,
+      height: video.height,
+      // BANDWIDTH must be the peak; the headroom above the average is what the rung allows for it
+      videoBitrate: budget,
+      audioBitrate: 0,
+      level: video.level,
+      avcProfile: PASSTHROUGH_PROFILES[video.profile]
+    }
+  };
+}
+
+// ==================== CHANNEL MANAGEMENT ====================
+
+function getChannelOutput(channelId) {
+  return path.join(baseOutputDir, channelId);
+}
+
+// `bridge` plays the loop even with items waiting, to cover a gap until the next one is preloaded
+async function playAd(channelId, bridge = false) {
+  const state = channelStates[channelId];
+  const channelOutput = getChannelOutput(channelId);
+  if (!state) return;
+
+  if (!bridge && getNextItem(channelId)) {
+    console.log(`📺 [${channelId}] Queue has movies, not starting ad`);
+    return;
+  }
+
+  if (state.isPlaying || state.playingAd) return;
+
+  const filler = pickCreative(channelId);
+  const fillerPath = filler ? filler.filePath : adVideoPath;
+
+  if (!fs.existsSync(fillerPath)) {
+    console.error(`❌ [${channelId}] Ad file not found at ${fillerPath}`);
+    setTimeout(() => playAd(channelId), 5000);
+    return;
+  }
+
+  // Creatives added before their tracks were recorded, and the built-in ad, are probed here
+  const audioTracks = (filler && filler.audioTracks) || await getAudioTracks(fillerPath);
+  if (channelStates[channelId] !== state || state.isPlaying || state.playingAd) return;
+
+  console.log(`📺 [${channelId}] Starting Ad Loop in slot ${state.activeSlot}`);
+  state.isPlaying = true;
+  state.playingAd = true;
+  startAiring(channelId, { title: 'Ad Loop', isAd: true });
+  publishNowPlaying(channelId);
+
+  stopProcess(state.currentProcess);
+  state.currentProcess = null;
+
+  state.currentItem = null;
+  const proc = startFFmpeg(
+    channelId,
+    fillerPath,
+    channelOutput,
+    'Ad',
+    state.activeSlot,
+    (exitCode) => {
+      state.isPlaying = false;
+      state.playingAd = false;
+      state.currentProcess = null;
+      console.log(`✅ [${channelId}] Ad loop exited (${exitCode})`);
+      
+      const hasMovies = !!getNextItem(channelId);
+      
+      if (hasMovies) {
+        console.log(`📺 [${channelId}] Queue has movies, not restarting ad`);
+        setTimeout(() => playNextMovie(channelId), 1000);
+        return;
+      }
+      
+      if (!hasMovies && exitCode !== -1) {
+        setTimeout(() => playAd(channelId), 1000);
+      } else if (exitCode === -1) {
+        console.error(`❌ [${channelId}] Ad FFmpeg failed, waiting before retry...`);
+        setTimeout(() => playAd(channelId), 5000);
+      }
+    },
+    async () => {
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      if (state.currentProcess !== proc) return;
+      const switched = switchActiveStream(channelId, state.activeSlot);
+      if (switched) {
+        console.log(`🟢 [${channelId}] Ad loop ready and streaming`);
+      } else {
+        console.error(`❌ [${channelId}] Ad failed to switch streams, retrying...`);
+        setTimeout(() => {
+          if (state.currentProcess === proc && switchActiveStream(channelId, state.activeSlot)) {
+            console.log(`🟢 [${channelId}] Ad loop ready after retry`);
+          }
+        }, 2000);
+      }
+    },
+    true,
+    { audio: { tracks: audioTracks } }
+  );
+  state.currentProcess = proc;
+}
+
+// Why an item can never be played, or null when it can
+function getPlayError(item) {
+  if (!item.title || !item.filePath) return 'invalid queue item';
+  try {
+    resolveMediaPath(item.filePath, item.isAd ? [adDir] : []);
+  } catch (e) {
+    return e.message;
+  }
+  return null;
+}
+
+async function preloadNextMovie(channelId) {
+  const state = channelStates[channelId];
+  const channelOutput = getChannelOutput(channelId);
+  if (!state) return false;
+
+  planPreRoll(channelId);
+  const nextMovie = getNextItem(channelId);
+  
+  if (!nextMovie) {
+    console.log(`📺 [${channelId}] No movies in queue to preload`);
+    return false;
+  }
+
+  if (state.isPreloading) {
+    console.log(`⚠️ [${channelId}] Preload already in progress, skipping`);
+    return false;
+  }
+
+  if (state.preloadReady) {
+    console.log(`✅ [${channelId}] Movie already preloaded`);
+    return true;
+  }
+
+  // An item that can never play is dropped, otherwise every retry would pick it again
+  const playError = getPlayError(nextMovie);
+  if (playError) {
+    console.error(`❌ [${channelId}] Dropping "${nextMovie.title}" from the queue: ${playError}`);
+    consumeNextItem(channelId, nextMovie);
+    fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+    return preloadNextMovie(channelId);
+  }
+
+  console.log(`🔄 [${channelId}] Preloading "${nextMovie.title}" in slot ${state.nextSlot}`);
+
+  state.preloadReady = false;
+  state.isPreloading = true;
+  state.preloadItemId = nextMovie.id;
+  let preloadStartedAt = Date.now();
+
+  const plan = planPassthrough(channelId, nextMovie, nextMovie.title, !!nextMovie.isAd);
+  if (plan.reason) {
+    console.log(`🎛️ [${channelId}] Transcoding "${nextMovie.title}": ${plan.reason}`);
+  }
+
+  return new Promise((resolve) => {
+    let resolved = false;
+    let finished = false;
+
+    const resolveOnce = (value, result = value ? 'success' : 'failure') => {
+      if (!finished) {
+        finished = true;
+        state.isPreloading = false;
+        observePreload(channelId, result, preloadStartedAt);
+        if (!resolved) {
+          resolved = true;
+          resolve(value);
+        }
+      }
+    };
+
+    const launch = () => {
+      preloadStartedAt = Date.now();
+      const proc = startFFmpeg(
+        channelId,
+        nextMovie.filePath,
+        channelOutput,
+        nextMovie.title,
+        state.nextSlot,
+        (exitCode) => {
+          console.log(`✅ [${channelId}] Movie "${nextMovie.title}" finished (${exitCode})`);
+
+          if (state.currentProcess !== proc) {
+            // Died while still waiting in the preload slot; the next transition preloads again
+            if (state.nextProcess === proc) {
+              state.nextProcess = null;
+              state.preloadReady = false;
+              state.isPreloading = false;
+            }
+            return;
+          }
+
+          state.currentProcess = null;
+          state.isPlaying = false;
+          setTimeout(() => playNextMovie(channelId), 2000);
+        },
+        () => {
+          console.log(`🟢 [${channelId}] Movie "${nextMovie.title}" preloaded and ready!`);
+          state.preloadReady = true;
+          resolveOnce(true);
+        },
+        !!nextMovie.isAd,
+        {
+          loop: false,
+          startOffset: nextMovie.offset || 0,
+          subtitles: nextMovie.subtitles,
+          audio: { tracks: nextMovie.audioTracks, language: nextMovie.audioLanguage },
+          passthrough: plan.variant
+        }
+      );
+      state.nextProcess = proc;
+      if (proc) proc.transcodeReason = plan.reason;
+
+      if (!state.nextProcess) {
+        console.error(`❌ [${channelId}] Failed to start FFmpeg process`);
+        state.isPreloading = false;
+        resolveOnce(false);
+        return;
+      }
+
+      setTimeout(() => {
+        if (state.nextProcess !== proc) {
+          resolveOnce(false, 'cancelled');
+          return;
+        }
+
+        if (!state.preloadReady) {
+          console.log(`⏰ [${channelId}] Preload timeout, verifying manually...`);
+          if (isSlotPlayable(channelOutput, state.nextSlot, getSlotRenditions(channelId, state.nextSlot), 2)) {
+            console.log(`✅ [${channelId}] Manual verification passed`);
+            state.preloadReady = true;
+            resolveOnce(true);
+            return;
+          }
+        
+          console.error(`❌ [${channelId}] Preload verification failed - no valid segments`);
+          resolveOnce(false);
+        }
+      }, 25000);
+    };
+
+    // Copying streams costs next to nothing, so only encodes wait for the budget
+    if (plan.reason) {
+      waitForEncoder(channelId, launch, () => resolveOnce(false, 'cancelled'));
+      // A queued preload would hold the caller's transition for as long as the queue takes; it carries on
+      // in the background and the transition is retried
+      if (state.encoderWaiter) {
+        resolved = true;
+        resolve(false);
+      }
+    } else {
+      launch();
+    }
+  });
+}
+
+async function playNextMovie(channelId) {
+  const state = channelStates[channelId];
+  if (!state) return;
+
+  if (state.isSwitching) {
+    console.log(`⚠️ [${channelId}] Transition already in progress, skipping`);
+    return;
+  }
+
+  state.isSwitching = true;
+  try {
+    await switchToNextMovie(channelId);
+  } finally {
+    state.isSwitching = false;
+  }
+}
+
+async function switchToNextMovie(channelId) {
+  const state = channelStates[channelId];
+  const channelConfig = channels[channelId];
+
+  clearProgramTimers(channelId);
+  planPreRoll(channelId);
+  const movie = getNextItem(channelId);
+
+  if (!movie) {
+    console.log(`📺 [${channelId}] ${channelConfig.stopped ? 'Channel stopped' : 'Queue empty'}, returning to ad loop`);
+    state.playingAd = false;
+    state.isPlaying = false;
+    state.currentItem = null;
+    state.currentEndsAt = null;
+
+    cancelPreload(channelId);
+    stopProcess(state.currentProcess);
+    state.currentProcess = null;
+
+    if (channelConfig.currentMovie) {
+      channelConfig.currentMovie = null;
+      channelConfig.currentStartTime = null;
+      channelConfig.currentEndTime = null;
+      channelConfig.nowPlaying = null;
+      await refreshSchedule(channelId);
+    }
+    publishNowPlaying(channelId);
+    
+    setTimeout(() => playAd(channelId), 1000);
+    return;
+  }
+
+  const playError = getPlayError(movie);
+  if (playError) {
+    console.error(`❌ [${channelId}] Dropping "${movie.title}" from the queue: ${playError}`);
+    consumeNextItem(channelId, movie);
+    fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+    state.preloadReady = false;
+    setTimeout(() => playNextMovie(channelId), 1000);
+    return;
+  }
+
+  const movieTitle = movie.title;
+
+  if (state.preloadReady && state.preloadItemId !== movie.id) {
+    console.log(`⚠️ [${channelId}] Preloaded slot holds a different item, preloading again`);
+    cancelPreload(channelId);
+  }
+
+  if (!state.preloadReady) {
+    console.log(`⏳ [${channelId}] Movie not preloaded, forcing preload...`);
+    
+    if (state.nextProcess) {
+      console.log(`⚠️ [${channelId}] Preload already in progress, waiting...`);
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      
+      if (!state.preloadReady) {
+        console.error(`❌ [${channelId}] Preload still not ready after wait`);
+        setTimeout(() => playNextMovie(channelId), 5000);
+        return;
+      }
+    } else {
+      const preloaded = await preloadNextMovie(channelId);
+
+      if (state.encoderWaiter) {
+        console.log(`⏳ [${channelId}] Preload is waiting for an encoder, retrying in 5s...`);
+        setTimeout(() => playNextMovie(channelId), 5000);
+        return;
+      }
+      if (!preloaded || !state.preloadReady) {
+        console.error(`❌ [${channelId}] Failed to preload movie, retrying in 5s...`);
+        setTimeout(() => playNextMovie(channelId), 5000);
+        return;
+      }
+    }
+  }
+
+  console.log(`🎬 [${channelId}] Now playing "${movieTitle}"`);
+
+  const oldSlot = state.activeSlot;
+  state.activeSlot = state.nextSlot;
+  state.nextSlot = oldSlot;
+
+  // Ad loop, finished movie or a skipped one; its exit must not trigger another transition
+  stopProcess(state.currentProcess);
+
+  state.currentProcess = state.nextProcess;
+  state.nextProcess = null;
+  state.playingAd = false;
+  state.isPlaying = true;
+  state.preloadReady = false;
+  state.preloadItemId = null;
+
+  // Remove by identity: the queue may have been edited while the preload was running
+  consumeNextItem(channelId, movie);
+  state.currentItem = movie;
+  startAiring(channelId, movie);
+
+  let switched = false;
+  for (let i = 0; i < 3; i++) {
+    switched = switchActiveStream(channelId, state.activeSlot);
+    if (switched) break;
+    console.log(`⏳ [${channelId}] Switch attempt ${i + 1}/3 failed, retrying...`);
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  if (!switched) {
+    console.error(`❌ [${channelId}] Failed to switch streams after 3 attempts!`);
+  }
+
+  if (movie.isAd) {
+    recordAdPlay(channelId, movie);
+  } else if (!movie.offset || movie.calendar) {
+    // Movies resuming after a break or restart were recorded when they first aired
+    recordPlay(channelId, movie);
+    // Idle picks depend on what has aired, so one chosen earlier is picked again
+    state.idleItem = null;
+  }
+
+  const duration = await getMediaDuration(movie);
+  const offsetMs = (movie.offset || 0) * 1000;
+  const runMs = Math.max(duration - offsetMs, 0);
+  const breakMs = movie.isAd ? 0 : countMidRolls(channelId, duration, offsetMs) * estimateBreakDuration(channelId);
+  const startTime = new Date();
+  const endTime = new Date(startTime.getTime() + runMs + breakMs);
+
+  state.currentEndsAt = (state.currentProcess ? state.currentProcess.startedAt : Date.now()) + runMs;
+
+  channelConfig.currentMovie = movie.isAd ? 'Ad Break' : movieTitle;
+  channelConfig.currentStartTime = startTime;
+  channelConfig.currentEndTime = endTime;
+  // What a restart resumes; during a break that is the interrupted movie, frozen at its cut
+  channelConfig.nowPlaying = movie.isAd
+    ? (state.resumeItem ? { item: state.resumeItem, startedAt: null } : null)
+    : { item: movie, startedAt: startTime.toISOString() };
+  
+  channelConfig.schedule = await generateDynamicSchedule(channelId, channelConfig, {
+    title: channelConfig.currentMovie,
+    startTime: startTime,
+    endTime: endTime,
+    isAd: !!movie.isAd,
+    mediaId: movie.mediaId
+  });
+
+  fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+  publishSchedule(channelId);
+  publishNowPlaying(channelId);
+
+  schedulePreload(channelId);
+  if (!movie.isAd) {
+    scheduleMidRoll(channelId, movie, duration);
+  }
+}
+
+async function initializeChannel(channelId) {
+  const channelConfig = channels[channelId];
+  const channelOutput = getChannelOutput(channelId);
+
+  if (fs.existsSync(channelOutput)) {
+    fs.rmSync(channelOutput, { recursive: true, force: true });
+  }
+  fs.mkdirSync(channelOutput, { recursive: true });
+
+  channelStates[channelId] = {
+    currentProcess: null,
+    nextProcess: null,
+    activeSlot: 'A',
+    nextSlot: 'B',
+    isPlaying: false,
+    playingAd: false,
+    preloadReady: false,
+    isPreloading: false,
+    isSwitching: false,
+    preloadItemId: null,
+    currentItem: null,
+    currentEndsAt: null,
+    breakQueue: [],
+    resumeItem: null,
+    preRollFor: null,
+    adHistory: [],
+    lastAdId: null,
+    preloadTimer: null,
+    midRollTimer: null,
+    midRollPreloadTimer: null,
+    calendarItem: null,
+    idleItem: null,
+    calendarTimer: null,
+    calendarPrepareTimer: null,
+    watchdogInterval: null,
+    encoderWaiter: null,
+    // Variant a passthrough run in each slot publishes, null while the slot encodes the ladder
+    slotVariants: { A: null, B: null },
+    // Alternate audio rendition marked DEFAULT while each slot is on air
+    slotDefaultAudio: { A: null, B: null },
+    livePlaylist: null,
+    liveSyncInterval: null,
+    hlsHandler: express.static(channelOutput)
+  };
+
+  restoreNowPlaying(channelId);
+  startLivePlaylist(channelId);
+  scheduleCalendarTimers(channelId);
+  channelStates[channelId].watchdogInterval = setInterval(() => checkChannelStall(channelId), WATCHDOG_INTERVAL_MS);
+
+  const firstItem = getNextItem(channelId);
+  if (firstItem) {
+    console.log(`📺 [${channelId}] Preloading "${firstItem.title}"`);
+    const preloaded = await preloadNextMovie(channelId);
+    
+    if (preloaded) {
+      setTimeout(() => {
+        if (channelStates[channelId].preloadReady) {
+          playNextMovie(channelId);
         } else {
           console.log(`📺 [${channelId}] Preload not ready yet, waiting...`);
           setTimeout(() => playNextMovie(channelId), 3000);
         }
-      }, 2000);
+      }, 2000);
+    } else {
+      console.log(`📺 [${channelId}] Preload failed, starting ad loop`);
+      playAd(channelId);
+    }
+  } else {
+    console.log(`📺 [${channelId}] ${channelConfig.stopped ? 'Channel stopped' : 'No movies in queue'}, starting ad loop`);
+    playAd(channelId);
+  }
+}
+
+// Stops every process and timer of a channel and forgets its runtime state
+function teardownChannel(channelId) {
+  const state = channelStates[channelId];
+  if (!state) return;
+
+  clearProgramTimers(channelId);
+  clearTimeout(state.calendarTimer);
+  clearTimeout(state.calendarPrepareTimer);
+  clearInterval(state.liveSyncInterval);
+  clearInterval(state.watchdogInterval);
+  closeAiring(channelId);
+  cancelPreload(channelId);
+  stopProcess(state.currentProcess);
+  state.currentProcess = null;
+
+  delete channelStates[channelId];
+  console.log(`🛑 [${channelId}] Channel torn down`);
+}
+
+// A queued movie taken off air goes back to the head of the queue where viewers left it
+function requeueCurrentItem(channelId) {
+  const state = channelStates[channelId];
+  const item = state && state.currentItem;
+  if (!item || item.isAd || item.calendar || item.idle) return;
+
+  const watchedSeconds = state.livePlaylist.source ? state.livePlaylist.source.appendedSeconds : 0;
+  channels[channelId].queue.unshift({ ...item, offset: (item.offset || 0) + watchedSeconds });
+  channels[channelId].nowPlaying = null;
+  state.currentItem = null;
+}
+
+// Puts the title that was on air when the server went down back in line, seeked to where the clock says it
+// should be so the schedule's end times still hold; calendar items are planned again from the clock anyway
+function restoreNowPlaying(channelId) {
+  const state = channelStates[channelId];
+  const channelConfig = channels[channelId];
+  const saved = channelConfig.nowPlaying;
+
+  channelConfig.nowPlaying = null;
+  channelConfig.currentMovie = null;
+  channelConfig.currentStartTime = null;
+  channelConfig.currentEndTime = null;
+  if (!saved || !saved.item || saved.item.calendar || channelConfig.stopped) return;
+
+  const { item } = saved;
+  const elapsedMs = saved.startedAt ? Math.max(Date.now() - new Date(saved.startedAt).getTime(), 0) : 0;
+  const offset = (item.offset || 0) + elapsedMs / 1000;
+  // Items queued by file path carry no duration of their own
+  const media = item.duration ? null : getCachedMedia(item);
+  const duration = item.duration || (media && media.duration) || null;
+  if (duration && offset * 1000 >= duration - RESUME_END_MARGIN_MS) {
+    console.log(`⏭️ [${channelId}] "${item.title}" would have finished during the restart, not resuming`);
+    return;
+  }
+  if (!duration && offset * 1000 > UNKNOWN_RUNTIME_MS) {
+    console.log(`⏭️ [${channelId}] "${item.title}" has no known length and has been down longer than a feature, not resuming`);
+    return;
+  }
+  if (!fs.existsSync(item.filePath)) {
+    console.log(`⚠️ [${channelId}] "${item.title}" is no longer on disk, not resuming`);
+    return;
+  }
+
+  const resumed = { ...item, offset };
+  if (item.idle) {
+    state.idleItem = resumed;
+  } else {
+    channelConfig.queue = channelConfig.queue || [];
+    channelConfig.queue.unshift(resumed);
+  }
+  console.log(`⏯️ [${channelId}] Resuming "${item.title}" at ${Math.round(offset)}s`);
+}
+
+// Rebuilds the channel output; calendar items are planned again from the clock
+async function restartChannel(channelId) {
+  incrementCounter('axstream_channel_restarts_total', { channel: channelId });
+  requeueCurrentItem(channelId);
+  teardownChannel(channelId);
+  channels[channelId].currentMovie = null;
+  channels[channelId].currentStartTime = null;
+  channels[channelId].currentEndTime = null;
+  fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+
+  await initializeChannel(channelId);
+}
+
+// Only files under movies/ are ever deleted, and never while another channel still queues them
+function purgeChannelMedia(channelId, items) {
+  const inUse = new Set();
+  for (const [id, config] of Object.entries(channels)) {
+    if (id === channelId) continue;
+    (config.queue || []).forEach(movie => inUse.add(path.resolve(movie.filePath)));
+    getCalendarFiles(id).forEach(filePath => inUse.add(path.resolve(filePath)));
+  }
+
+  const moviesRoot = fs.realpathSync(moviesDir);
+  const purged = [];
+  for (const item of items) {
+    let filePath;
+    try {
+      filePath = fs.realpathSync(item.filePath);
+    } catch (e) {
+      continue;
+    }
+    if (!isWithinRoot(filePath, moviesRoot) || inUse.has(filePath)) continue;
+    try {
+      fs.rmSync(filePath, { force: true });
+      purged.push(filePath);
+    } catch (e) {
+      console.error(`Warning: Could not remove ${filePath}:`, e.message);
+    }
+  }
+  return purged;
+}
+
+// Queued movies only play while the channel has not been stopped by an operator
+function hasPlayableQueue(channelId) {
+  const channelConfig = channels[channelId];
+  return !channelConfig.stopped && !!channelConfig.queue && channelConfig.queue.length > 0;
+}
+
+// Pending break creatives come first, then a movie interrupted by a mid-roll, then the calendar, the queue and idle programming
+function getNextItem(channelId) {
+  const state = channelStates[channelId];
+  if (!state) return null;
+
+  if (state.breakQueue.length > 0) {
+    // A pre-roll with nothing left to precede it is dropped
+    if (state.breakQueue[0].breakKind !== 'pre-roll' || state.resumeItem || hasPlayableQueue(channelId)) {
+      return state.breakQueue[0];
+    }
+    state.breakQueue = [];
+  }
+
+  if (state.resumeItem) return state.resumeItem;
+
+  const plan = getCalendarPlan(channelId);
+  if (plan.item || plan.hold) return plan.item;
+  if (hasPlayableQueue(channelId)) return channels[channelId].queue[0];
+  return getPendingIdleItem(channelId);
+}
+
+function consumeNextItem(channelId, item) {
+  const state = channelStates[channelId];
+  const queue = channels[channelId].queue || [];
+
+  if (state.breakQueue[0] === item) {
+    state.breakQueue.shift();
+  } else if (state.resumeItem === item) {
+    state.resumeItem = null;
+  } else if (state.calendarItem === item) {
+    state.calendarItem = null;
+    consumeCalendarItem(channelId, item);
+  } else if (state.idleItem === item) {
+    state.idleItem = null;
+    consumeIdleItem(channelId, item);
+  } else if (queue.indexOf(item) !== -1) {
+    queue.splice(queue.indexOf(item), 1);
+  }
+}
+
+// Starts the next item in the spare slot shortly before the running one finishes
+function schedulePreload(channelId) {
+  const state = channelStates[channelId];
+  clearTimeout(state.preloadTimer);
+
+  const lead = getPreloadLead(getNextItem(channelId));
+  const delay = state.currentEndsAt ? Math.max(state.currentEndsAt - lead - Date.now(), 0) : 0;
+  state.preloadTimer = setTimeout(async () => {
+    if (getNextItem(channelId) && !state.nextProcess && !state.preloadReady) {
+      await preloadNextMovie(channelId);
+    }
+  }, delay);
+}
+
+// Short items such as ad creatives would finish in the spare slot before going live
+function getPreloadLead(item) {
+  return item && item.duration ? Math.min(PRELOAD_LEAD_MS, item.duration / 2) : PRELOAD_LEAD_MS;
+}
+
+function clearProgramTimers(channelId) {
+  const state = channelStates[channelId];
+  clearTimeout(state.preloadTimer);
+  clearTimeout(state.midRollTimer);
+  clearTimeout(state.midRollPreloadTimer);
+  state.preloadTimer = null;
+  state.midRollTimer = null;
+  state.midRollPreloadTimer = null;
+}
+
+// Brings the head of the queue on air; the running ad keeps streaming until the preload is ready
+async function startQueuePlayback(channelId) {
+  const state = channelStates[channelId];
+  const preloadSuccess = await preloadNextMovie(channelId);
+
+  if (!preloadSuccess || !state.preloadReady) {
+    setTimeout(() => playNextMovie(channelId), 10000);
+    return false;
+  }
+
+  await playNextMovie(channelId);
+  return true;
+}
+
+async function skipCurrentMovie(channelId) {
+  await playNextMovie(channelId);
+}
+
+async function stopChannel(channelId) {
+  const state = channelStates[channelId];
+  const channelConfig = channels[channelId];
+
+  channelConfig.stopped = true;
+  clearProgramTimers(channelId);
+  state.breakQueue = [];
+  state.resumeItem = null;
+  state.currentItem = null;
+  state.currentEndsAt = null;
+  cancelPreload(channelId);
+  stopProcess(state.currentProcess);
+  state.currentProcess = null;
+  state.isPlaying = false;
+  state.playingAd = false;
+
+  channelConfig.currentMovie = null;
+  channelConfig.currentStartTime = null;
+  channelConfig.currentEndTime = null;
+  channelConfig.nowPlaying = null;
+  await refreshSchedule(channelId);
+  publishNowPlaying(channelId);
+
+  playAd(channelId);
+}
+
+// ==================== QUEUE MANAGEMENT ====================
+
+function createQueueItemId() {
+  return `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+async function refreshSchedule(channelId) {
+  const channelConfig = channels[channelId];
+  const state = channelStates[channelId];
+  const currentInfo = channelConfig.currentStartTime ? {
+    title: channelConfig.currentMovie,
+    mediaId: state && state.currentItem ? state.currentItem.mediaId : undefined,
+    startTime: new Date(channelConfig.currentStartTime),
+    endTime: new Date(channelConfig.currentEndTime)
+  } : null;
+  channelConfig.schedule = await generateDynamicSchedule(channelId, channelConfig, currentInfo);
+
+  fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+  publishSchedule(channelId);
+}
+
+function cancelPreload(channelId) {
+  const state = channelStates[channelId];
+  if (!state) return;
+
+  cancelEncoderWait(channelId);
+  if (state.nextProcess) {
+    stopProcess(state.nextProcess);
+    state.nextProcess = null;
+  }
+  state.preloadReady = false;
+  state.isPreloading = false;
+  state.preloadItemId = null;
+}
+
+// The preloaded slot must always hold the head of the queue; redo it when the head changes
+function reconcilePreload(channelId) {
+  const state = channelStates[channelId];
+  if (!state || (!state.nextProcess && !state.preloadReady && !state.isPreloading)) return;
+
+  const next = getNextItem(channelId);
+  if (next && next.id === state.preloadItemId) return;
+
+  console.log(`🔄 [${channelId}] Queue head changed, cancelling preload`);
+  cancelPreload(channelId);
+
+  if (next && state.isPlaying && !state.playingAd) {
+    schedulePreload(channelId);
+  }
+}
+
+async function applyQueueChange(channelId) {
+  fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+  publishEvent(channelId, 'queue', formatQueue(channelId));
+  reconcilePreload(channelId);
+  await refreshSchedule(channelId);
+}
+
+function findQueueIndex(channelId, itemId) {
+  return (channels[channelId].queue || []).findIndex(movie => movie.id === itemId);
+}
+
+function formatQueue(channelId) {
+  return {
+    channelName: channels[channelId].name,
+    currentMovie: channels[channelId].currentMovie || 'Ad Loop',
+    queue: (channels[channelId].queue || []).map((movie, index) => ({
+      id: movie.id,
+      mediaId: movie.mediaId || null,
+      position: index + 1,
+      title: movie.title,
+      addedBy: movie.addedBy || 'Unknown',
+      subtitles: movie.subtitles ? { mode: movie.subtitles.mode, language: movie.subtitles.language, label: movie.subtitles.label } : null,
+      audioLanguage: movie.audioLanguage || null,
+      audioLanguages: (movie.audioTracks || []).map(t => t.language).filter(Boolean)
+    }))
+  };
+}
+
+// ==================== AD BREAKS ====================
+
+function getAdPolicy(channelId) {
+  return { ...DEFAULT_AD_POLICY, ...(channels[channelId].adPolicy || {}) };
+}
+
+function normalizeAdPolicy(input, current = DEFAULT_AD_POLICY) {
+  const policy = { ...current };
+
+  if (input.preRoll !== undefined) {
+    policy.preRoll = !!input.preRoll;
+  }
+
+  for (const key of ['midRollIntervalMinutes', 'maxAdMinutesPerHour', 'maxBreakSeconds']) {
+    if (input[key] === undefined) continue;
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${key} must be a number >= 0`);
+    }
+    policy[key] = value;
+  }
+
+  return policy;
+}
+
+function getPlayableCreatives() {
+  return Object.values(ads).filter(ad => ad.enabled !== false && ad.weight > 0 && fs.existsSync(ad.filePath));
+}
+
+// Weighted random pick that avoids airing the same creative twice in a row when it can
+function pickCreative(channelId, excludeIds = []) {
+  const state = channelStates[channelId];
+  const candidates = getPlayableCreatives().filter(ad => !excludeIds.includes(ad.id));
+  if (candidates.length === 0) return null;
+
+  const fresh = candidates.filter(ad => !state || ad.id !== state.lastAdId);
+  const pool = fresh.length > 0 ? fresh : candidates;
+  const totalWeight = pool.reduce((sum, ad) => sum + ad.weight, 0);
+
+  let roll = Math.random() * totalWeight;
+  for (const ad of pool) {
+    roll -= ad.weight;
+    if (roll <= 0) return ad;
+  }
+  return pool[pool.length - 1];
+}
+
+function getAdSecondsLastHour(channelId) {
+  const state = channelStates[channelId];
+  const hourAgo = Date.now() - 60 * 60 * 1000;
+  state.adHistory = state.adHistory.filter(play => play.at >= hourAgo);
+  return state.adHistory.reduce((sum, play) => sum + play.seconds, 0);
+}
+
+function planAdBreak(channelId, breakKind) {
+  const policy = getAdPolicy(channelId);
+  const budgetMs = (policy.maxAdMinutesPerHour * 60 - getAdSecondsLastHour(channelId)) * 1000;
+  const limitMs = Math.min(policy.maxBreakSeconds * 1000, budgetMs);
+
+  const items = [];
+  const usedIds = [];
+  let totalMs = 0;
+
+  for (let ad = pickCreative(channelId); ad; ad = pickCreative(channelId, usedIds)) {
+    usedIds.push(ad.id);
+    if (totalMs + ad.duration > limitMs) continue;
+
+    totalMs += ad.duration;
+    items.push({
+      id: `break_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      adId: ad.id,
+      title: ad.title,
+      filePath: ad.filePath,
+      duration: ad.duration,
+      audioTracks: ad.audioTracks,
+      isAd: true,
+      breakKind
+    });
+  }
+
+  if (items.length > 0) {
+    console.log(`📢 [${channelId}] Planned ${breakKind} break: ${items.length} ads, ${Math.round(totalMs / 1000)}s`);
+  }
+  return items;
+}
+
+// Pre-rolls only precede queue items, not calendar programming
+function planPreRoll(channelId) {
+  const state = channelStates[channelId];
+  if (!getAdPolicy(channelId).preRoll || state.breakQueue.length > 0 || state.resumeItem) return;
+  if (!hasPlayableQueue(channelId)) return;
+
+  const head = channels[channelId].queue[0];
+  if (getNextItem(channelId) !== head || state.preRollFor === head.id) return;
+
+  state.preRollFor = head.id;
+  state.breakQueue = planAdBreak(channelId, 'pre-roll');
+}
+
+function countMidRolls(channelId, durationMs, offsetMs = 0) {
+  const intervalMs = getAdPolicy(channelId).midRollIntervalMinutes * 60 * 1000;
+  if (!intervalMs) return 0;
+
+  let count = 0;
+  for (let at = offsetMs + intervalMs; at <= durationMs - MIDROLL_END_MARGIN_MS; at += intervalMs) {
+    count++;
+  }
+  return count;
+}
+
+function scheduleMidRoll(channelId, movie, durationMs) {
+  const state = channelStates[channelId];
+  if (countMidRolls(channelId, durationMs, (movie.offset || 0) * 1000) === 0) return;
+
+  const intervalMs = getAdPolicy(channelId).midRollIntervalMinutes * 60 * 1000;
+  const cutAt = (state.currentProcess ? state.currentProcess.startedAt : Date.now()) + intervalMs;
+
+  state.midRollPreloadTimer = setTimeout(() => prepareMidRoll(channelId, movie, cutAt), Math.max(cutAt - PRELOAD_LEAD_MS - Date.now(), 0));
+  state.midRollTimer = setTimeout(() => startMidRoll(channelId, movie), Math.max(cutAt - Date.now(), 0));
+}
+
+function prepareMidRoll(channelId, movie, cutAt) {
+  const state = channelStates[channelId];
+  if (state.currentItem !== movie || state.breakQueue.length > 0) return;
+
+  const items = planAdBreak(channelId, 'mid-roll');
+  if (items.length === 0) {
+    console.log(`📢 [${channelId}] No ad budget or creatives for mid-roll, skipping`);
+    clearTimeout(state.midRollTimer);
+    return;
+  }
+
+  // The spare slot may already hold the next queue item; the break goes first
+  cancelPreload(channelId);
+  state.breakQueue = items;
+  state.midRollPreloadTimer = setTimeout(
+    () => preloadNextMovie(channelId),
+    Math.max(cutAt - getPreloadLead(items[0]) - Date.now(), 0)
+  );
+}
+
+function startMidRoll(channelId, movie) {
+  const state = channelStates[channelId];
+  if (state.currentItem !== movie || state.breakQueue.length === 0 || state.breakQueue[0].breakKind !== 'mid-roll') return;
+
+  // Resume from the last segment viewers actually received
+  const watchedSeconds = state.livePlaylist.source ? state.livePlaylist.source.appendedSeconds : 0;
+  state.resumeItem = { ...movie, offset: (movie.offset || 0) + watchedSeconds };
+
+  console.log(`📢 [${channelId}] Mid-roll break in "${movie.title}" at ${Math.round(state.resumeItem.offset)}s`);
+  playNextMovie(channelId);
+}
+
+function recordAdPlay(channelId, item) {
+  const state = channelStates[channelId];
+  state.adHistory.push({ adId: item.adId, at: Date.now(), seconds: item.duration / 1000 });
+  state.lastAdId = item.adId;
+
+  if (ads[item.adId]) {
+    ads[item.adId].plays = (ads[item.adId].plays || 0) + 1;
+    ads[item.adId].lastPlayedAt = new Date().toISOString();
+    fs.writeFileSync(adsFile, JSON.stringify(ads, null, 2));
+  }
+}
+
+// Expected length of one break, used to place programmes in the schedule
+function estimateBreakDuration(channelId) {
+  const libraryMs = getPlayableCreatives().reduce((sum, ad) => sum + ad.duration, 0);
+  return Math.min(getAdPolicy(channelId).maxBreakSeconds * 1000, libraryMs);
+}
+
+// ==================== PROGRAMMING CALENDAR ====================
+
+function getCalendar(channelId) {
+  return channels[channelId].calendar || { events: [], blocks: [], fillers: { mode: 'none', clips: [] } };
+}
+
+function parseClockTime(value, field) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value));
+  if (!match) {
+    throw new Error(`${field} must be a time in HH:MM format`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatClockTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Calendar entries come from the library (by mediaId or filePath), so slot fitting never waits on ffprobe
+async function normalizeCalendarEntry(entry) {
+  const source = typeof entry === 'string' ? { filePath: entry } : (entry || {});
+  const media = source.mediaId ? library[source.mediaId] : null;
+  if (source.mediaId && !media) {
+    throw codedError('MEDIA_NOT_FOUND', `Media not found: ${source.mediaId}`);
+  }
+
+  const filePath = resolveMediaPath(media ? media.filePath : source.filePath);
+  const audioLanguage = normalizeAudioLanguage(source.audioLanguage);
+  const { id: mediaId, title, duration, audioTracks } = await registerMedia(filePath, { title: source.title });
+
+  return {
+    title: source.title ? String(source.title) : title,
+    mediaId,
+    filePath,
+    duration,
+    audioTracks,
+    audioLanguage: pickAudioLanguage(audioTracks, audioLanguage)
+  };
+}
+
+async function normalizeCalendarEvent(input) {
+  const start = new Date(input.start);
+  if (!input.start || isNaN(start)) {
+    throw new Error('start must be an ISO 8601 timestamp');
+  }
+
+  const entry = await normalizeCalendarEntry(input);
+  if (start.getTime() + entry.duration <= Date.now()) {
+    throw new Error('Event would already be over');
+  }
+
+  return {
+    id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    ...entry,
+    start: start.toISOString(),
+    airedAt: null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Blocks repeat on the given weekdays (0 = Sunday) between two wall-clock times in the channel timezone
+async function normalizeCalendarBlock(input) {
+  if (!input.title || !String(input.title).trim()) {
+    throw new Error('title is required');
+  }
+
+  const days = input.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : input.days;
+  if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new Error('days must be an array of weekdays from 0 (Sunday) to 6 (Saturday)');
+  }
+
+  const start = parseClockTime(input.start, 'start');
+  const end = parseClockTime(input.end, 'end');
+  if (start === end) {
+    throw new Error('start and end must differ');
+  }
+
+  if (!Array.isArray(input.playlist) || input.playlist.length === 0) {
+    throw new Error('playlist must be a non-empty array');
+  }
+  const playlist = [];
+  for (const entry of input.playlist) {
+    playlist.push(await normalizeCalendarEntry(entry));
+  }
+
+  return {
+    id: `block_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    title: String(input.title).trim(),
+    days: [...new Set(days)].sort(),
+    start: formatClockTime(start),
+    end: formatClockTime(end),
+    playlist,
+    shuffle: !!input.shuffle,
+    position: 0,
+    lastIndex: null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+async function normalizeFillers(input) {
+  const mode = input.mode === undefined ? 'none' : input.mode;
+  if (!FILLER_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${FILLER_MODES.join(', ')}`);
+  }
+
+  const clips = [];
+  for (const entry of input.clips || []) {
+    clips.push(await normalizeCalendarEntry(entry));
+  }
+  if (mode === 'clips' && clips.length === 0) {
+    throw new Error('clips must list at least one file when mode is clips');
+  }
+
+  return { mode, clips };
+}
+
+// Concrete event and block occurrences overlapping [from, to), ordered by start; events win ties.
+// Expanding blocks is costly and every getNextItem asks, so a window of slots is kept per channel.
+function getCalendarSlots(channelId, from, to) {
+  const calendar = getCalendar(channelId);
+  const timeZone = getChannelTimezone(channelId);
+  let cached = calendarSlotCache.get(channelId);
+  if (!cached || cached.calendar !== calendar || cached.timeZone !== timeZone || from < cached.from || to > cached.to) {
+    const windowEnd = Math.max(to, from + 2 * CALENDAR_HORIZON_MS);
+    cached = { calendar, timeZone, from, to: windowEnd, slots: expandCalendarSlots(calendar, timeZone, from, windowEnd) };
+    calendarSlotCache.set(channelId, cached);
+  }
+
+  // Events are marked aired in place, so that is read fresh
+  return cached.slots
+    .filter(slot => slot.end > from && slot.start < to)
+    .map(slot => (slot.event ? { ...slot, aired: !!slot.event.airedAt } : slot));
+}
+
+function expandCalendarSlots(calendar, timeZone, from, to) {
+  const slots = [];
+
+  for (const event of calendar.events) {
+    const start = new Date(event.start).getTime();
+    const end = start + event.duration;
+    if (end > from && start < to) {
+      slots.push({ kind: 'event', id: event.id, title: event.title, start, end, aired: !!event.airedAt, event });
+    }
+  }
+
+  if (calendar.blocks.length > 0) {
+    // Start a day early: an occurrence from the previous evening can still be running
+    const [year, month, day] = formatScheduleDate(new Date(from - DAY_MS), timeZone).split('-').map(Number);
+    const dayCount = Math.ceil((to - from) / DAY_MS) + 2;
+
+    for (let i = 0; i < dayCount; i++) {
+      const date = new Date(Date.UTC(year, month - 1, day + i));
+      for (const block of calendar.blocks) {
+        if (!block.days.includes(date.getUTCDay())) continue;
+
+        const startMinutes = parseClockTime(block.start, 'start');
+        let endMinutes = parseClockTime(block.end, 'end');
+        if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+        const dateArgs = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+        const start = zonedTimeToDate(...dateArgs, startMinutes, timeZone).getTime();
+        const end = zonedTimeToDate(...dateArgs, endMinutes, timeZone).getTime();
+        if (end > from && start < to) {
+          slots.push({ kind: 'block', id: `${block.id}@${new Date(start).toISOString()}`, title: block.title, start, end, aired: false, block });
+        }
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start || (a.kind === 'event' ? -1 : 1));
+}
+
+// An event that has not aired yet takes precedence over a block running at the same time
+function getActiveSlot(channelId, at) {
+  const slots = getCalendarSlots(channelId, at, at + 1).filter(slot => !slot.aired && slot.start <= at);
+  return slots.find(slot => slot.kind === 'event') || slots[0] || null;
+}
+
+function getNextSlot(channelId, at) {
+  return getCalendarSlots(channelId, at, at + CALENDAR_HORIZON_MS).find(slot => !slot.aired && slot.start > at) || null;
+}
+
+function buildCalendarItem(entry, slot, until, extra = {}) {
+  return {
+    id: createQueueItemId(),
+    title: entry.title,
+    mediaId: entry.mediaId,
+    filePath: entry.filePath,
+    duration: entry.duration,
+    audioTracks: entry.audioTracks,
+    audioLanguage: entry.audioLanguage,
+    calendar: { kind: slot.kind, slotId: slot.id, sourceId: slot.event ? slot.event.id : slot.block && slot.block.id, until, ...extra }
+  };
+}
+
+// Next playlist entry that still fits before the block ends; entries passed over are reported when it airs
+function pickBlockItem(slot, at) {
+  const { block } = slot;
+  const remainingMs = slot.end - at;
+  const indexes = block.playlist.map((entry, i) => i);
+
+  if (block.shuffle) {
+    const fits = indexes.filter(i => block.playlist[i].duration <= remainingMs);
+    const fresh = fits.filter(i => i !== block.lastIndex);
+    const pool = fresh.length > 0 ? fresh : fits;
+    if (pool.length === 0) return null;
+    const index = pool[Math.floor(Math.random() * pool.length)];
+    return buildCalendarItem(block.playlist[index], slot, slot.end, { index, skipped: [] });
+  }
+
+  const order = indexes.map(i => (i + (block.position || 0)) % indexes.length);
+  const position = order.findIndex(i => block.playlist[i].duration <= remainingMs);
+  if (position === -1) return null;
+
+  const index = order[position];
+  const skipped = order.slice(0, position).map(i => block.playlist[i].title);
+  return buildCalendarItem(block.playlist[index], slot, slot.end, { index, skipped });
+}
+
+// A short clip or ad creative for a gap of at most maxMs
+function pickFiller(channelId, maxMs, slotId, until) {
+  const { fillers } = getCalendar(channelId);
+  const slot = { kind: 'filler', id: slotId };
+
+  if (fillers.mode === 'clips') {
+    const fits = fillers.clips.filter(clip => clip.duration <= maxMs && fs.existsSync(clip.filePath));
+    if (fits.length === 0) return null;
+    return buildCalendarItem(fits[Math.floor(Math.random() * fits.length)], slot, until);
+  }
+
+  if (fillers.mode === 'ads') {
+    const tooLong = getPlayableCreatives().filter(ad => ad.duration > maxMs).map(ad => ad.id);
+    const ad = pickCreative(channelId, tooLong);
+    if (!ad) return null;
+    return {
+      id: `break_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      adId: ad.id,
+      title: ad.title,
+      filePath: ad.filePath,
+      duration: ad.duration,
+      audioTracks: ad.audioTracks,
+      isAd: true,
+      breakKind: 'filler',
+      calendar: { kind: 'filler', slotId, until }
+    };
+  }
+
+  return null;
+}
+
+// What the calendar wants on air at `at`: an item, or hold when the queue must wait (the ad loop covers the gap)
+function planCalendarItem(channelId, at) {
+  const channelConfig = channels[channelId];
+  if (!channelConfig.calendar || channelConfig.stopped) return { item: null, hold: false };
+
+  const slot = getActiveSlot(channelId, at);
+  if (slot && slot.kind === 'event') {
+    const lateMs = at - slot.start;
+    const item = buildCalendarItem(slot.event, slot, slot.end);
+    if (lateMs > CALENDAR_LATE_START_MS) item.offset = lateMs / 1000;
+    return { item, hold: true };
+  }
+  if (slot) {
+    return { item: pickBlockItem(slot, at) || pickFiller(channelId, slot.end - at, slot.id, slot.end), hold: true };
+  }
+
+  // Between slots the queue plays, unless its head would run into the next slot
+  const next = getNextSlot(channelId, at);
+  const head = hasPlayableQueue(channelId) ? channelConfig.queue[0] : null;
+  if (!next || !head || !head.duration) return { item: null, hold: false };
+  if (at + head.duration - (head.offset || 0) * 1000 <= next.start) return { item: null, hold: false };
+
+  const mode = getCalendar(channelId).fillers.mode;
+  const item = pickFiller(channelId, next.start - at, `gap@${new Date(next.start).toISOString()}`, next.start);
+  return { item, hold: mode !== 'none' };
+}
+
+// The chosen item is kept until it airs so preloads and transitions agree on it
+function getCalendarPlan(channelId) {
+  const state = channelStates[channelId];
+  if (channels[channelId].stopped) return { item: null, hold: false };
+  if (state.calendarItem && state.calendarItem.calendar.until > Date.now()) {
+    return { item: state.calendarItem, hold: true };
+  }
+
+  // Plan for when the running item ends rather than for now
+  const at = state.isPlaying && !state.playingAd && state.currentEndsAt ? Math.max(state.currentEndsAt, Date.now()) : Date.now();
+  const plan = planCalendarItem(channelId, at);
+  state.calendarItem = plan.item;
+  return plan;
+}
+
+function recordCalendarConflict(channelId, conflict) {
+  const channelConfig = channels[channelId];
+  // A block cycling through its playlist would report the same entry every round
+  const known = (channelConfig.calendarConflicts || []).some(c =>
+    c.type === conflict.type && c.slotId === conflict.slotId && c.title === conflict.title
+  );
+  if (known) return;
+
+  channelConfig.calendarConflicts = [
+    ...(channelConfig.calendarConflicts || []),
+    { ...conflict, at: new Date().toISOString() }
+  ].slice(-MAX_CALENDAR_CONFLICTS);
+  console.log(`⚠️ [${channelId}] Calendar conflict: ${conflict.message}`);
+}
+
+function consumeCalendarItem(channelId, item) {
+  const calendar = getCalendar(channelId);
+  const { kind, sourceId, slotId, index, skipped } = item.calendar;
+
+  if (kind === 'event') {
+    const event = calendar.events.find(e => e.id === sourceId);
+    if (event) event.airedAt = new Date().toISOString();
+  } else if (kind === 'block') {
+    const block = calendar.blocks.find(b => b.id === sourceId);
+    if (block) {
+      block.position = (index + 1) % block.playlist.length;
+      block.lastIndex = index;
+      for (const title of skipped) {
+        recordCalendarConflict(channelId, {
+          type: 'does-not-fit',
+          slotId,
+          title,
+          message: `"${title}" did not fit the time left in "${block.title}" and was skipped`
+        });
+      }
+    }
+  }
+}
+
+function getCalendarFiles(channelId) {
+  const calendar = getCalendar(channelId);
+  return [
+    ...calendar.events,
+    ...calendar.blocks.flatMap(block => block.playlist),
+    ...calendar.fillers.clips
+  ].map(entry => entry.filePath);
+}
+
+// Overlapping slots in the coming week and block entries longer than the block itself
+function findCalendarConflicts(channelId) {
+  const now = Date.now();
+  const calendar = getCalendar(channelId);
+  const slots = getCalendarSlots(channelId, now, now + CALENDAR_HORIZON_MS).filter(slot => !slot.aired);
+  const conflicts = [];
+
+  for (let i = 0; i < slots.length; i++) {
+    for (let j = i + 1; j < slots.length && slots[j].start < slots[i].end; j++) {
+      conflicts.push({
+        type: 'overlap',
+        slotIds: [slots[i].id, slots[j].id],
+        start: new Date(slots[j].start).toISOString(),
+        message: `"${slots[j].title}" starts before "${slots[i].title}" ends`
+      });
+    }
+  }
+
+  for (const block of calendar.blocks) {
+    const startMinutes = parseClockTime(block.start, 'start');
+    let endMinutes = parseClockTime(block.end, 'end');
+    if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+    const lengthMs = (endMinutes - startMinutes) * 60 * 1000;
+
+    for (const entry of block.playlist) {
+      if (entry.duration <= lengthMs) continue;
+      conflicts.push({
+        type: 'does-not-fit',
+        blockId: block.id,
+        title: entry.title,
+        message: `"${entry.title}" is longer than the "${block.title}" block`
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+// A mid-roll in progress is abandoned; its movie goes back to the head of the queue
+function clearPendingBreak(channelId) {
+  const state = channelStates[channelId];
+  clearTimeout(state.midRollTimer);
+  clearTimeout(state.midRollPreloadTimer);
+  if (state.resumeItem && !state.resumeItem.calendar) {
+    channels[channelId].queue.unshift(state.resumeItem);
+    channels[channelId].nowPlaying = null;
+  }
+  state.resumeItem = null;
+  state.breakQueue = [];
+}
+
+// Arms timers for the next slot boundary: a preload shortly before a slot starts, the cut itself, and block ends
+function scheduleCalendarTimers(channelId) {
+  const state = channelStates[channelId];
+  if (!state) return;
+  clearTimeout(state.calendarPrepareTimer);
+  clearTimeout(state.calendarTimer);
+
+  const now = Date.now();
+  const boundaries = [];
+  for (const slot of getCalendarSlots(channelId, now, now + CALENDAR_HORIZON_MS)) {
+    if (slot.aired) continue;
+    if (slot.start > now) boundaries.push({ at: slot.start, starts: true, slotId: slot.id });
+    if (slot.kind === 'block' && slot.end > now) boundaries.push({ at: slot.end, starts: false, slotId: slot.id });
+  }
+  boundaries.sort((a, b) => a.at - b.at || b.starts - a.starts);
+
+  const next = boundaries[0];
+  if (!next) {
+    // Block occurrences further out come into range as time moves on
+    state.calendarTimer = setTimeout(() => scheduleCalendarTimers(channelId), DAY_MS);
+    return;
+  }
+
+  if (next.starts) {
+    state.calendarPrepareTimer = setTimeout(() => prepareCalendarSlot(channelId, next.at), Math.max(next.at - PRELOAD_LEAD_MS - now, 0));
+  }
+  state.calendarTimer = setTimeout(() => {
+    if (next.starts) {
+      startCalendarSlot(channelId, next.slotId);
+    } else {
+      endCalendarSlot(channelId);
+    }
+    scheduleCalendarTimers(channelId);
+  }, next.at - now);
+}
+
+function prepareCalendarSlot(channelId, at) {
+  const state = channelStates[channelId];
+  if (!state || state.isSwitching) return;
+
+  const { item } = planCalendarItem(channelId, at);
+  if (!item) return;
+
+  console.log(`📅 [${channelId}] Preparing "${item.title}" for ${new Date(at).toISOString()}`);
+  clearPendingBreak(channelId);
+  state.calendarItem = item;
+  cancelPreload(channelId);
+  preloadNextMovie(channelId);
+}
+
+// Takes whatever is on air off for the slot starting now
+function startCalendarSlot(channelId, slotId) {
+  const state = channelStates[channelId];
+  if (!state || channels[channelId].stopped) return;
+
+  if (state.isSwitching) {
+    setTimeout(() => startCalendarSlot(channelId, slotId), 1000);
+    return;
+  }
+
+  const current = state.currentItem;
+  if (current && current.calendar && current.calendar.slotId === slotId) return;
+
+  clearPendingBreak(channelId);
+  requeueCurrentItem(channelId);
+  state.currentEndsAt = Date.now();
+
+  // The ad loop already covers a slot with nothing to play
+  if (state.playingAd && !getNextItem(channelId)) return;
+
+  console.log(`📅 [${channelId}] Calendar slot ${slotId} starting`);
+  playNextMovie(channelId);
+}
+
+// An ad loop holding the end of a block hands over to the queue straight away
+function endCalendarSlot(channelId) {
+  const state = channelStates[channelId];
+  if (state && state.playingAd && getNextItem(channelId)) {
+    playNextMovie(channelId);
+  }
+}
+
+// Forgets the planned item and re-arms timers; a slot already running takes over immediately
+async function applyCalendarChange(channelId) {
+  fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+  calendarSlotCache.delete(channelId);
+
+  const state = channelStates[channelId];
+  if (!state) return;
+
+  state.calendarItem = null;
+  scheduleCalendarTimers(channelId);
+  reconcilePreload(channelId);
+
+  const slot = getActiveSlot(channelId, Date.now());
+  if (slot) startCalendarSlot(channelId, slot.id);
+
+  await refreshSchedule(channelId);
+}
+
+function formatCalendar(channelId) {
+  const calendar = getCalendar(channelId);
+  const now = Date.now();
+  return {
+    channelId,
+    timezone: getChannelTimezone(channelId),
+    events: calendar.events,
+    blocks: calendar.blocks,
+    fillers: calendar.fillers,
+    upcoming: getCalendarSlots(channelId, now, now + CALENDAR_HORIZON_MS).map(slot => ({
+      kind: slot.kind,
+      id: slot.id,
+      title: slot.title,
+      start: new Date(slot.start).toISOString(),
+      end: new Date(slot.end).toISOString(),
+      aired: slot.aired
+    })),
+    conflicts: findCalendarConflicts(channelId),
+    recentConflicts: channels[channelId].calendarConflicts || []
+  };
+}
+
+// ==================== IDLE PROGRAMMING ====================
+
+function getIdlePolicy(channelId) {
+  return { ...DEFAULT_IDLE_POLICY, ...(channels[channelId].idle || {}) };
+}
+
+function normalizeIdlePolicy(input, current = DEFAULT_IDLE_POLICY) {
+  const policy = { ...current };
+
+  if (input.mode !== undefined) {
+    if (!IDLE_MODES.includes(input.mode)) {
+      throw new Error(`mode must be one of: ${IDLE_MODES.join(', ')}`);
+    }
+    policy.mode = input.mode;
+  }
+
+  for (const key of ['collection', 'playlist']) {
+    if (input[key] === undefined) continue;
+    policy[key] = input[key] === null ? null : String(input[key]).trim() || null;
+  }
+
+  const maxHours = PLAY_HISTORY_MS / (60 * 60 * 1000);
+  for (const key of ['rerunHours', 'noRepeatHours']) {
+    if (input[key] === undefined) continue;
+    const value = Number(input[key]);
+    if (!Number.isFinite(value) || value < 0 || value > maxHours) {
+      throw new Error(`${key} must be a number from 0 to ${maxHours}`);
+    }
+    policy[key] = value;
+  }
+
+  if (policy.mode === 'shuffle' && !policy.collection) {
+    throw new Error('collection is required for shuffle mode');
+  }
+  if (policy.mode === 'playlist' && !policy.playlist) {
+    throw new Error('playlist is required for playlist mode');
+  }
+
+  return policy;
+}
+
+function getMediaKey(item) {
+  return item.mediaId || item.filePath;
+}
+
+function recordPlay(channelId, item) {
+  const channelConfig = channels[channelId];
+  const since = Date.now() - PLAY_HISTORY_MS;
+  channelConfig.playHistory = [
+    ...(channelConfig.playHistory || []).filter(play => new Date(play.playedAt).getTime() >= since),
+    {
+      mediaId: item.mediaId || null,
+      title: item.title,
+      filePath: item.filePath,
+      source: item.idle ? 'idle' : item.calendar ? 'calendar' : 'queue',
+      playedAt: new Date().toISOString()
+    }
+  ];
+}
+
+// Plays within the last `hours`, newest last
+function getRecentPlays(channelId, hours) {
+  const since = Date.now() - hours * 60 * 60 * 1000;
+  return (channels[channelId].playHistory || []).filter(play => new Date(play.playedAt).getTime() >= since);
+}
+
+function isIdleCandidate(media, excluded) {
+  return !!media && !excluded.has(media.id) && !excluded.has(media.filePath) && fs.existsSync(media.filePath);
+}
+
+function buildIdleItem(media, mode, extra = {}) {
+  return {
+    id: createQueueItemId(),
+    mediaId: media.id,
+    title: media.title,
+    filePath: media.filePath,
+    duration: media.duration,
+    audioTracks: media.audioTracks,
+    audioLanguage: pickAudioLanguage(media.audioTracks || []),
+    idle: { mode, ...extra }
+  };
+}
+
+// Picks the next idle item for the channel's mode, or null when the rules leave nothing to play
+function pickIdleItem(channelId) {
+  const policy = getIdlePolicy(channelId);
+  if (policy.mode === 'off') return null;
+
+  const excluded = new Set(getRecentPlays(channelId, policy.noRepeatHours).map(getMediaKey));
+
+  if (policy.mode === 'reruns') {
+    const lastPlayed = new Map();
+    getRecentPlays(channelId, policy.rerunHours).forEach(play => lastPlayed.set(getMediaKey(play), play));
+    // Least recently aired first
+    const rerun = [...lastPlayed.values()]
+      .sort((a, b) => new Date(a.playedAt) - new Date(b.playedAt))
+      .map(play => (play.mediaId && library[play.mediaId]) || findMediaByPath(play.filePath))
+      .find(media => isIdleCandidate(media, excluded));
+    return rerun ? buildIdleItem(rerun, 'reruns') : null;
+  }
+
+  if (policy.mode === 'shuffle') {
+    const pool = Object.values(library).filter(media =>
+      (media.collections || []).includes(policy.collection) && isIdleCandidate(media, excluded)
+    );
+    if (pool.length === 0) return null;
+    return buildIdleItem(pool[Math.floor(Math.random() * pool.length)], 'shuffle', { collection: policy.collection });
+  }
+
+  const playlist = (channels[channelId].playlists || {})[policy.playlist];
+  if (!playlist || playlist.items.length === 0) return null;
+  for (let i = 0; i < playlist.items.length; i++) {
+    const index = ((playlist.position || 0) + i) % playlist.items.length;
+    const media = library[playlist.items[index]];
+    if (isIdleCandidate(media, excluded)) {
+      return buildIdleItem(media, 'playlist', { playlist: policy.playlist, index });
+    }
+  }
+  return null;
+}
+
+// Kept until it airs, like calendar items, so preloads and transitions agree on it
+function getPendingIdleItem(channelId) {
+  const state = channelStates[channelId];
+  if (channels[channelId].stopped) return null;
+  if (!state.idleItem) state.idleItem = pickIdleItem(channelId);
+  return state.idleItem;
+}
+
+function consumeIdleItem(channelId, item) {
+  if (item.idle.mode !== 'playlist') return;
+  const playlist = (channels[channelId].playlists || {})[item.idle.playlist];
+  if (playlist) {
+    playlist.position = (item.idle.index + 1) % playlist.items.length;
+  }
+}
+
+// Queue additions and policy changes replace idle programming from the next transition on
+function resetIdleItem(channelId) {
+  const state = channelStates[channelId];
+  if (!state) return;
+  state.idleItem = null;
+  reconcilePreload(channelId);
+}
+
+// ==================== JOB PROCESSING ====================
+
+// Running jobs by ID; `cancelled` is checked between steps and `abort` stops a download in flight
+const runningJobs = new Map();
+let jobTimer = null;
+
+function updateJobStatus(jobId, status, data = {}) {
+  if (jobs[jobId]) {
+    jobs[jobId].status = status;
+    jobs[jobId].updatedAt = new Date().toISOString();
+    jobs[jobId] = { ...jobs[jobId], ...data };
+    fs.writeFileSync(jobsFile, JSON.stringify(jobs, null, 2));
+    publishEvent(jobs[jobId].channelId, 'job', formatJob(jobs[jobId]), 'viewer');
+  }
+}
+
+// The stored payload stays internal; it holds paths and options only the worker needs
+function formatJob(job) {
+  const { data, ...rest } = job;
+  return { ...rest, type: job.type || 'add' };
+}
+
+// Creates a pending job whose payload is stored with it, so it survives a restart
+function createJob(type, fields, data) {
+  const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  jobs[jobId] = {
+    id: jobId,
+    type,
+    ...fields,
+    status: 'pending',
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    progress: 0,
+    data
+  };
+  pruneJobs();
+  fs.writeFileSync(jobsFile, JSON.stringify(jobs, null, 2));
+  publishEvent(fields.channelId, 'job', formatJob(jobs[jobId]), 'viewer');
+
+  setImmediate(pumpJobs);
+  return jobs[jobId];
+}
+
+function enqueueJob(jobId) {
+  updateJobStatus(jobId, 'pending');
+  setImmediate(pumpJobs);
+}
+
+// Starts pending jobs up to the concurrency limit; jobs waiting out a retry delay are picked up by a timer
+function pumpJobs() {
+  clearTimeout(jobTimer);
+  jobTimer = null;
+
+  const now = Date.now();
+  const pending = Object.values(jobs)
+    .filter(job => job.status === 'pending' && !runningJobs.has(job.id))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  pending
+    .filter(job => !job.retryAt || new Date(job.retryAt).getTime() <= now)
+    .slice(0, Math.max(JOB_CONCURRENCY - runningJobs.size, 0))
+    .forEach(job => runJob(job.id));
+
+  const nextRetry = Math.min(...pending
+    .map(job => job.retryAt ? new Date(job.retryAt).getTime() : 0)
+    .filter(retryAt => retryAt > now));
+  if (Number.isFinite(nextRetry)) {
+    jobTimer = setTimeout(pumpJobs, nextRetry - now);
+  }
+}
+
+// Coded errors are the job's own fault and would fail the same way again, unless marked retryable
+function isRetryableJobError(error) {
+  return !!error.retryable || !error.code;
+}
+
+function checkJobCancelled(jobId) {
+  const control = runningJobs.get(jobId);
+  if (control && control.cancelled) {
+    throw codedError('JOB_CANCELLED', 'Job cancelled');
+  }
+}
+
+function getJobPartPath(jobId) {
+  return path.join(uploadsDir, `${jobId}.part`);
+}
+
+// Partial downloads and unfinished uploads of a job that will not run again
+function discardJobFiles(job) {
+  fs.rmSync(getJobPartPath(job.id), { force: true });
+  if (job.uploadId && uploads[job.uploadId]) removeUpload(job.uploadId);
+}
+
+async function runJob(jobId) {
+  const control = { cancelled: false, abort: null };
+  runningJobs.set(jobId, control);
+
+  const job = jobs[jobId];
+  const attempts = (job.attempts || 0) + 1;
+  updateJobStatus(jobId, 'processing', { attempts, retryAt: null });
+
+  try {
+    const handlers = { add: processAddMovieJob, url: processUrlIngestJob, upload: processUploadJob };
+    const handler = handlers[job.type || 'add'];
+    if (!handler || (job.type !== 'upload' && !job.data)) {
+      // Jobs written before payloads were stored cannot be run again
+      throw codedError('JOB_INTERRUPTED', 'Job was interrupted by a restart');
+    }
+    await handler(jobId, job.data || {});
+  } catch (error) {
+    if (control.cancelled) {
+      console.log(`🛑 Job ${jobId} cancelled`);
+      discardJobFiles(jobs[jobId]);
+      updateJobStatus(jobId, 'cancelled', { message: 'Cancelled' });
+    } else if (isRetryableJobError(error) && attempts < JOB_MAX_ATTEMPTS) {
+      const delayMs = JOB_RETRY_BASE_MS * 2 ** (attempts - 1);
+      console.log(`🔁 Job ${jobId} attempt ${attempts} failed (${error.message}), retrying in ${delayMs / 1000}s`);
+      updateJobStatus(jobId, 'pending', {
+        lastError: error.message,
+        retryAt: new Date(Date.now() + delayMs).toISOString(),
+        message: `Retrying (${attempts}/${JOB_MAX_ATTEMPTS - 1})...`
+      });
+    } else {
+      console.error(`Job ${jobId} failed:`, error.message);
+      discardJobFiles(jobs[jobId]);
+      updateJobStatus(jobId, 'failed', { error: error.message, errorCode: error.code || 'JOB_FAILED' });
+    }
+  } finally {
+    runningJobs.delete(jobId);
+    pumpJobs();
+  }
+}
+
+// Pending jobs never started and those cut off mid-run start over from their last checkpoint
+function resumeJobs() {
+  let resumed = 0;
+  for (const job of Object.values(jobs)) {
+    const upload = job.uploadId && uploads[job.uploadId];
+    const verifying = job.status === 'uploading' && upload && upload.status === 'verifying';
+    if (job.status === 'processing' || job.status === 'downloading' || verifying) {
+      job.status = 'pending';
+      job.updatedAt = new Date().toISOString();
+    }
+    if (job.status === 'pending') resumed++;
+  }
+  fs.writeFileSync(jobsFile, JSON.stringify(jobs, null, 2));
+
+  if (resumed > 0) console.log(`🔁 Resuming ${resumed} job(s)`);
+  pumpJobs();
+}
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  let pruned = 0;
+  for (const job of Object.values(jobs)) {
+    if (JOB_FINISHED_STATUSES.includes(job.status) && new Date(job.updatedAt).getTime() < cutoff) {
+      delete jobs[job.id];
+      pruned++;
+    }
+  }
+  if (pruned > 0) {
+    fs.writeFileSync(jobsFile, JSON.stringify(jobs, null, 2));
+    console.log(`🗑️ Pruned ${pruned} finished job(s)`);
+  }
+}
+
+async function processAddMovieJob(jobId, jobData) {
+  const { channelId, movieName, addedBy, fileSize, format } = jobData;
+
+  // Queued before a restart cut the job short; only the bookkeeping is left
+  if (jobs[jobId].itemId) {
+    updateJobStatus(jobId, 'completed', { progress: 100, message: 'Added to queue', channelId, format });
+    return;
+  }
+
+  // Progress is not reset here: upload jobs arrive with the upload phase already counted
+  updateJobStatus(jobId, 'processing');
+
+  const filePath = resolveMediaPath(jobData.filePath);
+
+  updateJobStatus(jobId, 'processing', { progress: 50, message: 'Verifying video...' });
+
+  const media = await registerMedia(filePath, { title: movieName, addedBy, checksum: jobData.checksum });
+
+  if (!channels[channelId]) {
+    throw codedError('CHANNEL_NOT_FOUND', 'Channel not found');
+  }
+  checkJobCancelled(jobId);
+
+  const itemId = createQueueItemId();
+  let subtitles = null;
+  if (jobData.subtitles && jobData.subtitles.mode !== 'off') {
+    updateJobStatus(jobId, 'processing', { progress: 60, message: 'Preparing subtitles...' });
+    const options = { ...jobData.subtitles, file: jobData.subtitles.file ? resolveMediaPath(jobData.subtitles.file) : undefined };
+    try {
+      subtitles = await prepareSubtitles(itemId, filePath, options);
+    } catch (e) {
+      // Missing subtitles should not keep the movie off the air
+      console.error(`⚠️ Job ${jobId} subtitles skipped: ${e.message}`);
+      updateJobStatus(jobId, 'processing', { subtitleWarning: e.message });
+    }
+  }
+
+  const { audioTracks } = media;
+  const audioLanguage = pickAudioLanguage(audioTracks, jobData.audioLanguage);
+  if (jobData.audioLanguage && audioLanguage !== jobData.audioLanguage) {
+    updateJobStatus(jobId, 'processing', { audioWarning: `No ${jobData.audioLanguage} audio track, using ${audioLanguage || 'the first track'}` });
+  }
+  checkJobCancelled(jobId);
+
+  channels[channelId].queue.push({
+    id: itemId,
+    mediaId: media.id,
+    title: movieName,
+    filePath: filePath,
+    addedBy: addedBy,
+    addedAt: new Date(),
+    fileSize: fileSize,
+    format: format,
+    duration: media.duration,
+    subtitles,
+    audioTracks,
+    audioLanguage
+  });
+  // Decided before awaiting so concurrent jobs cannot both miss (or both claim) the first slot
+  const isFirstMovie = channels[channelId].queue.length === 1;
+  // Recorded at once so a job resumed after a restart does not queue the movie twice
+  fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+  updateJobStatus(jobId, 'processing', { itemId });
+  publishEvent(channelId, 'queue', formatQueue(channelId));
+
+  await refreshSchedule(channelId);
+
+  updateJobStatus(jobId, 'processing', { progress: 80, message: 'Checking playback...' });
+
+  const state = channelStates[channelId];
+
+  // Idle programming gives way to the queue as soon as it has something
+  const playingIdle = !!(state && state.currentItem && state.currentItem.idle);
+  if (isFirstMovie && playingIdle) resetIdleItem(channelId);
+
+  if (isFirstMovie && state && (state.playingAd || playingIdle) && getNextItem(channelId)) {
+    updateJobStatus(jobId, 'processing', { progress: 90, message: 'Starting playback...' });
+    
+    const started = await startQueuePlayback(channelId);
+    
+    if (!started) {
+      updateJobStatus(jobId, 'completed', { 
+        progress: 100,
+        message: 'Added to queue (will retry playback)',
+        queuePosition: channels[channelId].queue.length,
+        channelId,
+        format
+      });
+      return;
+    }
+    
+    updateJobStatus(jobId, 'completed', { 
+      progress: 100,
+      message: 'Now playing!',
+      isPlaying: true,
+      channelId,
+      format
+    });
+  } else {
+    updateJobStatus(jobId, 'completed', { 
+      progress: 100,
+      message: 'Added to queue',
+      queuePosition: channels[channelId].queue.length,
+      channelId,
+      format
+    });
+  }
+}
+
+function isAllowedIngestType(contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  return !type || type.startsWith('video/') || INGEST_CONTENT_TYPES.includes(type);
+}
+
+function getIngestFileName(url, headers) {
+  const disposition = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(headers['content-disposition'] || '');
+  if (disposition) {
+    try {
+      return decodeURIComponent(disposition[1]);
+    } catch (e) {
+      return disposition[1];
+    }
+  }
+  try {
+    return decodeURIComponent(path.basename(new URL(url).pathname)) || 'download';
+  } catch (e) {
+    return 'download';
+  }
+}
+
+// One download attempt. Continues an existing partial file with a Range request when the server allows it.
+function downloadToFile(url, partPath, onProgress, control, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    const client = url.startsWith('https:') ? https : http;
+    const headers = offset > 0 ? { Range: `bytes=${offset}-` } : {};
+
+    const req = client.get(url, { headers, timeout: INGEST_TIMEOUT_MS }, (res) => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirects >= 5) {
+          return reject(codedError('TOO_MANY_REDIRECTS', 'Too many redirects'));
+        }
+        return resolve(downloadToFile(new URL(res.headers.location, url).toString(), partPath, onProgress, control, redirects + 1));
+      }
+
+      if (res.statusCode === 416 && offset > 0) {
+        // The partial file no longer lines up with the remote one; start over on the next attempt
+        res.resume();
+        fs.rmSync(partPath, { force: true });
+        const error = codedError('DOWNLOAD_FAILED', 'Range not satisfiable');
+        error.retryable = true;
+        return reject(error);
+      }
+
+      if (res.statusCode !== 200 && res.statusCode !== 206) {
+        res.resume();
+        const error = codedError('DOWNLOAD_FAILED', `Server responded with HTTP ${res.statusCode}`);
+        error.retryable = res.statusCode >= 500 || res.statusCode === 408 || res.statusCode === 429;
+        return reject(error);
+      }
+
+      if (!isAllowedIngestType(res.headers['content-type'])) {
+        res.resume();
+        return reject(codedError('UNSUPPORTED_CONTENT_TYPE', `Unsupported content type: ${res.headers['content-type']}`));
+      }
+
+      const resumed = res.statusCode === 206;
+      const rangeTotal = /\/(\d+)$/.exec(res.headers['content-range'] || '');
+      const total = resumed
+        ? (rangeTotal ? Number(rangeTotal[1]) : null)
+        : (res.headers['content-length'] ? Number(res.headers['content-length']) : null);
+
+      // Refused from the headers, before anything is written
+      const length = res.headers['content-length'] ? Number(res.headers['content-length']) : null;
+      if ((total && total > MAX_INGEST_BYTES) || (length && (resumed ? offset : 0) + length > MAX_INGEST_BYTES)) {
+        res.resume();
+        return reject(codedError('FILE_TOO_LARGE', `File exceeds ${MAX_INGEST_BYTES} bytes`));
+      }
+
+      let received = resumed ? offset : 0;
+      let failed = false;
+      const out = fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' });
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        res.unpipe(out);
+        res.resume();
+        out.end();
+        reject(error);
+      };
+
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > MAX_INGEST_BYTES) {
+          fs.rmSync(partPath, { force: true });
+          return fail(codedError('FILE_TOO_LARGE', `File exceeds ${MAX_INGEST_BYTES} bytes`));
+        }
+        onProgress(received, total);
+      });
+      res.on('aborted', () => {
+        const error = codedError('DOWNLOAD_FAILED', 'Connection closed before the download finished');
+        error.retryable = true;
+        fail(error);
+      });
+      res.pipe(out);
+
+      out.on('error', fail);
+      out.on('finish', () => {
+        if (failed) return;
+        if (total && received < total) {
+          const error = codedError('DOWNLOAD_FAILED', `Download incomplete: ${received}/${total} bytes`);
+          error.retryable = true;
+          return reject(error);
+        }
+        resolve({ size: received, fileName: getIngestFileName(url, res.headers) });
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Download timed out')));
+    req.on('error', (err) => {
+      const error = codedError('DOWNLOAD_FAILED', err.message);
+      error.retryable = true;
+      reject(error);
+    });
+
+    if (control) {
+      control.abort = () => req.destroy(new Error('Download cancelled'));
+    }
+  });
+}
+
+// Downloads a URL into movies/ and hands over to the normal verify-and-queue flow
+// Failed attempts keep the partial file, so a retry continues the download with a range request
+async function processUrlIngestJob(jobId, jobData) {
+  // Downloaded before a restart; the stored path is picked up instead
+  if (jobData.filePath) {
+    return processAddMovieJob(jobId, jobData);
+  }
+
+  const partPath = getJobPartPath(jobId);
+  updateJobStatus(jobId, 'downloading', { message: 'Downloading...' });
+
+  let lastReport = 0;
+  const onProgress = (received, total) => {
+    if (Date.now() - lastReport < 1000) return;
+    lastReport = Date.now();
+    updateJobStatus(jobId, 'downloading', {
+      progress: total ? Math.floor((received / total) * 50) : 0,
+      downloadedBytes: received,
+      totalBytes: total,
+      message: total ? `Downloading... ${received}/${total} bytes` : `Downloading... ${received} bytes`
+    });
+  };
+
+  const download = await downloadToFile(jobData.url, partPath, onProgress, runningJobs.get(jobId));
+  checkJobCancelled(jobId);
+
+  const target = moveIntoMovies(partPath, download.fileName);
+  console.log(`📥 Job ${jobId} downloaded ${download.size} bytes to ${target}`);
+
+  const data = { ...jobData, filePath: target, fileSize: jobData.fileSize || download.size };
+  updateJobStatus(jobId, 'processing', { progress: 50, downloadedBytes: download.size, data });
+
+  await processAddMovieJob(jobId, data);
+}
+
+// ==================== UPLOADS ====================
+
+function getUploadPartPath(uploadId) {
+  return path.join(uploadsDir, `${uploadId}.part`);
+}
+
+// Bytes received so far; the partial file is the source of truth so uploads resume across restarts
+function getUploadOffset(uploadId) {
+  try {
+    return fs.statSync(getUploadPartPath(uploadId)).size;
+  } catch (e) {
+    return 0;
+  }
+}
+
+function formatUpload(upload) {
+  return {
+    uploadId: upload.id,
+    jobId: upload.jobId,
+    channelId: upload.channelId,
+    fileName: upload.fileName,
+    size: upload.size,
+    offset: getUploadOffset(upload.id),
+    status: upload.status
+  };
+}
+
+function removeUpload(uploadId) {
+  fs.rmSync(getUploadPartPath(uploadId), { force: true });
+  delete uploads[uploadId];
+  fs.writeFileSync(uploadsFile, JSON.stringify(uploads, null, 2));
+}
+
+function pruneExpiredUploads() {
+  const now = Date.now();
+  for (const upload of Object.values(uploads)) {
+    if (upload.status !== 'uploading' || now - new Date(upload.updatedAt).getTime() < UPLOAD_EXPIRY_MS) continue;
+    console.log(`🗑️ Upload ${upload.id} expired`);
+    updateJobStatus(upload.jobId, 'failed', { error: 'Upload expired', errorCode: 'UPLOAD_EXPIRED' });
+    removeUpload(upload.id);
+  }
+}
+
+// Picks a name in movies/ that does not overwrite an existing file
+function getUploadTargetPath(fileName) {
+  const safeName = path.basename(fileName).replace(/[^\w.\- ]/g, '_').replace(/^\.+/, '') || 'upload';
+  const ext = path.extname(safeName);
+  const base = safeName.slice(0, safeName.length - ext.length);
+
+  let target = path.join(moviesDir, safeName);
+  let attempt = 1;
+  while (fs.existsSync(target)) {
+    target = path.join(moviesDir, `${base}_${attempt++}${ext}`);
+  }
+  return target;
+}
+
+function moveIntoMovies(partPath, fileName) {
+  const target = getUploadTargetPath(fileName);
+  try {
+    fs.renameSync(partPath, target);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    fs.copyFileSync(partPath, target);
+    fs.rmSync(partPath, { force: true });
+  }
+  return target;
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Appends the request body at the given offset. Resolves with the new offset.
+function writeUploadChunk(upload, req) {
+  return new Promise((resolve, reject) => {
+    const partPath = getUploadPartPath(upload.id);
+    const out = fs.createWriteStream(partPath, { flags: 'a' });
+    let written = getUploadOffset(upload.id);
+    let failed = false;
+
+    req.on('data', (chunk) => {
+      written += chunk.length;
+      if (written > upload.size && !failed) {
+        failed = true;
+        req.unpipe(out);
+        req.resume();
+        out.destroy();
+        reject(codedError('UPLOAD_TOO_LARGE', 'Chunk exceeds the declared upload size'));
+      }
+    });
+    req.pipe(out);
+
+    // A dropped connection keeps whatever arrived; the client resumes from the reported offset
+    req.on('close', () => {
+      if (!req.complete && !failed) out.end();
+    });
+    out.on('finish', () => {
+      if (!failed) resolve(getUploadOffset(upload.id));
+    });
+    out.on('error', (err) => {
+      if (!failed) reject(err);
+    });
+  });
+}
+
+// Verifies a fully received upload and moves it into movies/; the stored path becomes the job's payload
+async function storeUpload(jobId, upload) {
+  const partPath = getUploadPartPath(upload.id);
+
+  updateJobStatus(jobId, 'processing', { progress: 50, message: 'Verifying checksum...' });
+
+  const size = fs.statSync(partPath).size;
+  if (size !== upload.size) {
+    throw codedError('SIZE_MISMATCH', `Expected ${upload.size} bytes, received ${size}`);
+  }
+
+  const checksum = await hashFile(partPath);
+  if (checksum !== upload.checksum) {
+    throw codedError('CHECKSUM_MISMATCH', 'Uploaded file does not match the sha256 checksum');
+  }
+  checkJobCancelled(jobId);
+
+  const target = moveIntoMovies(partPath, upload.fileName);
+  console.log(`📥 Upload ${upload.id} stored as ${target}`);
+
+  const data = {
+    channelId: upload.channelId,
+    movieName: upload.movieName,
+    filePath: target,
+    addedBy: upload.addedBy,
+    fileSize: upload.size,
+    checksum: upload.checksum,
+    format: upload.format,
+    subtitles: upload.subtitles,
+    audioLanguage: upload.audioLanguage
+  };
+  updateJobStatus(jobId, 'processing', { data });
+  removeUpload(upload.id);
+  return data;
+}
+
+async function processUploadJob(jobId, jobData) {
+  // Stored before a restart; only the verify-and-queue step is left
+  if (jobData.filePath) {
+    return processAddMovieJob(jobId, jobData);
+  }
+
+  const upload = uploads[jobs[jobId].uploadId];
+  if (!upload) {
+    throw codedError('UPLOAD_NOT_FOUND', 'Upload not found');
+  }
+  await processAddMovieJob(jobId, await storeUpload(jobId, upload));
+}
+
+// ==================== AUTH ====================
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach((pair) => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    try {
+      cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (e) {
+      // Ignore malformed cookie values
+    }
+  });
+  return cookies;
+}
+
+// Player pages and IPTV links, plus the read-only channel assets they load, which cannot send headers
+function isPlayerRequest(req) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+  return PLAYER_ROUTE_PATTERN.test(req.originalUrl.split('?')[0]);
+}
+
+// Keys are accepted as a bearer token or an X-API-Key header; player routes also take a ?key= query or the watch cookie
+function getRequestKey(req) {
+  const authorization = req.header('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+  if (req.header('X-API-Key')) return req.header('X-API-Key').trim();
+  if (!isPlayerRequest(req)) return null;
+  if (typeof req.query.key === 'string' && req.query.key) return req.query.key;
+  return parseCookies(req.header('Cookie'))[AUTH_COOKIE] || null;
+}
+
+function isAdminEnvKey(key) {
+  if (!process.env.ADMIN_API_KEY) return false;
+  // Hashing first gives equal lengths, so the comparison time reveals nothing about the key
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(key), 'hex'),
+    Buffer.from(hashApiKey(process.env.ADMIN_API_KEY), 'hex')
+  );
+}
+
+// Returns the key record for the request, null when no key was sent, or false when it is unknown or revoked
+function resolveApiKey(req) {
+  return lookupApiKey(getRequestKey(req));
+}
+
+function lookupApiKey(key) {
+  if (!key) return null;
+
+  if (isAdminEnvKey(key)) {
+    return { id: 'env', name: 'ADMIN_API_KEY', role: 'admin', channels: ['*'] };
+  }
+
+  const keyHash = hashApiKey(key);
+  const record = Object.values(apiKeys).find(k => k.keyHash === keyHash);
+  return record && !record.revokedAt ? record : false;
+}
+
+function hasAccess(key, role, channelId) {
+  if (!key || API_ROLES.indexOf(key.role) < API_ROLES.indexOf(role)) return false;
+  if (!channelId) return true;
+  return key.channels.includes('*') || key.channels.includes(channelId);
+}
+
+// Route guard; the channel comes from the URL or, for routes like /api/movie/add, the request body
+function requireRole(role) {
+  return (req, res, next) => {
+    const key = resolveApiKey(req);
+    if (key === null) {
+      return res.status(401).json({ error: 'API key required' });
+    }
+    if (key === false) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    const channelId = req.params.channelId || (req.body && req.body.channelId);
+    if (!hasAccess(key, role, channelId)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    req.apiKey = key;
+    next();
+  };
+}
+
+// Public channels are readable by anyone; private ones need at least a viewer key
+function requireChannelView(req, res, next) {
+  const config = channels[req.params.channelId];
+  if (!config || !config.private) return next();
+  requireRole('viewer')(req, res, next);
+}
+
+// Player links for private channels carry ?key=; keep it in a cookie so playlist and segment requests are authorized.
+// The cookie stands in for the key the way a link does, so only a viewer key for this channel is kept.
+function rememberChannelKey(req, res, channelId) {
+  if (!channels[channelId] || !channels[channelId].private || typeof req.query.key !== 'string') return;
+
+  const key = lookupApiKey(req.query.key);
+  if (hasAccess(key, 'viewer', channelId) && isLinkableKey(key)) {
+    res.setHeader('Set-Cookie', `${AUTH_COOKIE}=${encodeURIComponent(req.query.key)}; Path=/; HttpOnly; SameSite=Lax`);
+  }
+}
+
+// Links handed to players carry the key, so they may only carry one that cannot change anything
+function isLinkableKey(key) {
+  return !!key && key.role === 'viewer';
+}
+
+// Route guard for lists of player links; req.linkKey is the key to embed, set only once it resolved to a viewer
+function requireLinkableKey(req, res, next) {
+  const key = resolveApiKey(req);
+  if (key === false) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  if (key && !isLinkableKey(key)) {
+    return res.status(403).json({ error: 'Use a viewer key: it is embedded in every link' });
+  }
+
+  req.linkKey = key ? getRequestKey(req) : null;
+  next();
+}
+
+function canViewChannel(req, channelId) {
+  return !channels[channelId].private || hasAccess(resolveApiKey(req), 'viewer', channelId);
+}
+
+function normalizeKeyScope(role, scope) {
+  if (!API_ROLES.includes(role)) {
+    throw new Error(`role must be one of: ${API_ROLES.join(', ')}`);
+  }
+  // Admins manage channels, including ones that do not exist yet
+  if (role === 'admin') return ['*'];
+
+  if (!Array.isArray(scope) || scope.length === 0) {
+    throw new Error('channels must be a non-empty array of channel IDs');
+  }
+  return [...new Set(scope.map(id => String(id).trim()))].filter(Boolean);
+}
+
+function createApiKey(name, role, scope) {
+  const key = `axs_${crypto.randomBytes(24).toString('hex')}`;
+  const keyId = `key_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  apiKeys[keyId] = {
+    id: keyId,
+    name: name || role,
+    role,
+    channels: scope,
+    keyHash: hashApiKey(key),
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  fs.writeFileSync(apiKeysFile, JSON.stringify(apiKeys, null, 2));
+
+  return { ...formatApiKey(apiKeys[keyId]), key };
+}
+
+function formatApiKey(record) {
+  const { keyHash, ...rest } = record;
+  return rest;
+}
+
+// ==================== API ROUTES ====================
+
+// Initialize channel
+app.post('/api/channel/init', requireRole('admin'), async (req, res) => {
+  try {
+    const { channelId, channelName, renditions, adPolicy, audioLanguages, branding, timezone, private: isPrivate } = req.body;
+    
+    if (!channels[channelId]) {
+      let channelRenditions = null;
+      let channelAdPolicy = null;
+      let channelAudioLanguages = null;
+      let channelBranding = null;
+      let channelTimezone = null;
+      try {
+        if (timezone) channelTimezone = normalizeTimezone(timezone);
+        if (renditions) channelRenditions = normalizeRenditions(renditions);
+        if (adPolicy) channelAdPolicy = normalizeAdPolicy(adPolicy);
+        if (audioLanguages) channelAudioLanguages = normalizeAudioLanguages(audioLanguages);
+        if (branding) channelBranding = normalizeBranding(branding);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      channels[channelId] = {
+        name: channelName,
+        renditions: channelRenditions,
+        audioLanguages: channelAudioLanguages,
+        adPolicy: channelAdPolicy,
+        branding: channelBranding,
+        timezone: channelTimezone,
+        private: !!isPrivate,
+        queue: [],
+        schedule: [],
+        currentMovie: null,
+        currentStartTime: null,
+        currentEndTime: null,
+        nowPlaying: null
+      };
+      fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+      
+      setImmediate(() => initializeChannel(channelId));
+    }
+    
+    res.json({ success: true, channelId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add movie (creates job, returns immediately)
+app.post('/api/movie/add', requireRole('operator'), async (req, res) => {
+  try {
+    const { channelId, addedBy, fileSize, format, mediaId } = req.body;
+    let { movieName, filePath } = req.body;
+    
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Channel not found' });
+    }
+
+    // Library entries can be queued by ID instead of path
+    if (mediaId) {
+      const media = library[mediaId];
+      if (!media) {
+        return res.status(404).json({ error: 'Media not found' });
+      }
+      filePath = media.filePath;
+      movieName = movieName || media.title;
+    }
+
+    let subtitles;
+    let audioLanguage;
+    try {
+      subtitles = normalizeSubtitleOptions(req.body.subtitles);
+      audioLanguage = normalizeAudioLanguage(req.body.audioLanguage);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    
+    const job = createJob('add', { channelId, movieName }, {
+      channelId,
+      movieName,
+      filePath,
+      addedBy,
+      fileSize,
+      format,
+      subtitles,
+      audioLanguage
+    });
+    
+    res.json({ jobId: job.id, status: job.status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Ingest movie from a URL (creates job, returns immediately)
+app.post('/api/movie/ingest', requireRole('operator'), (req, res) => {
+  try {
+    const { channelId, movieName, url, addedBy, format } = req.body;
+
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Channel not found' });
+    }
+
+    let subtitles;
+    let audioLanguage;
+    try {
+      subtitles = normalizeSubtitleOptions(req.body.subtitles);
+      audioLanguage = normalizeAudioLanguage(req.body.audioLanguage);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return res.status(400).json({ error: 'url must be a valid URL' });
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return res.status(400).json({ error: 'url must use http or https' });
+    }
+
+    const job = createJob('url', { channelId, movieName, url: parsed.toString() }, {
+      channelId,
+      movieName,
+      url: parsed.toString(),
+      addedBy,
+      format,
+      subtitles,
+      audioLanguage
+    });
+
+    res.json({ jobId: job.id, status: job.status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a resumable upload; chunks are then sent with PATCH /api/upload/:uploadId
+app.post('/api/upload', requireRole('operator'), (req, res) => {
+  try {
+    const { channelId, movieName, fileName, size, checksum, addedBy, format } = req.body;
+
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Channel not found' });
+    }
+
+    const uploadSize = Number(size);
+    if (!fileName || !Number.isInteger(uploadSize) || uploadSize <= 0) {
+      return res.status(400).json({ error: 'fileName and a positive integer size are required' });
+    }
+    if (uploadSize > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({ error: `Upload exceeds ${MAX_UPLOAD_BYTES} bytes`, code: 'UPLOAD_TOO_LARGE' });
+    }
+    if (!/^[a-fA-F0-9]{64}$/.test(checksum || '')) {
+      return res.status(400).json({ error: 'checksum must be a sha256 hex digest' });
+    }
+
+    let subtitles;
+    let audioLanguage;
+    try {
+      subtitles = normalizeSubtitleOptions(req.body.subtitles);
+      audioLanguage = normalizeAudioLanguage(req.body.audioLanguage);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    pruneExpiredUploads();
+
+    const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    jobs[jobId] = {
+      id: jobId,
+      type: 'upload',
+      channelId,
+      movieName: movieName || fileName,
+      uploadId,
+      status: 'uploading',
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      progress: 0
+    };
+    fs.writeFileSync(jobsFile, JSON.stringify(jobs, null, 2));
+
+    uploads[uploadId] = {
+      id: uploadId,
+      jobId,
+      channelId,
+      movieName: movieName || fileName,
+      fileName,
+      size: uploadSize,
+      checksum: checksum.toLowerCase(),
+      addedBy,
+      format,
+      subtitles,
+      audioLanguage,
+      status: 'uploading',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(uploadsFile, JSON.stringify(uploads, null, 2));
+    fs.writeFileSync(getUploadPartPath(uploadId), '');
+
+    res.json(formatUpload(uploads[uploadId]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get upload offset, used by clients to resume
+app.get('/api/upload/:uploadId', requireRole('operator'), (req, res) => {
+  const upload = uploads[req.params.uploadId];
+  if (!upload) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  if (!hasAccess(req.apiKey, 'operator', upload.channelId)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
+  res.set('Upload-Offset', String(getUploadOffset(upload.id)));
+  res.json(formatUpload(upload));
+});
+
+// Append a chunk; the Upload-Offset header must match the bytes already received
+app.patch('/api/upload/:uploadId', requireRole('operator'), async (req, res) => {
+  try {
+    const upload = uploads[req.params.uploadId];
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    if (!hasAccess(req.apiKey, 'operator', upload.channelId)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    if (upload.status !== 'uploading' || activeUploads.has(upload.id)) {
+      return res.status(409).json({ error: 'Upload is not accepting chunks', ...formatUpload(upload) });
+    }
+
+    const offset = getUploadOffset(upload.id);
+    if (Number(req.header('Upload-Offset')) !== offset) {
+      return res.status(409).json({ error: 'Upload-Offset does not match', offset });
+    }
+
+    activeUploads.add(upload.id);
+    let newOffset;
+    try {
+      newOffset = await writeUploadChunk(upload, req);
+    } catch (e) {
+      return res.status(e.code === 'UPLOAD_TOO_LARGE' ? 413 : 500).json({ error: e.message, code: e.code });
+    } finally {
+      activeUploads.delete(upload.id);
+    }
+
+    upload.updatedAt = new Date().toISOString();
+    updateJobStatus(upload.jobId, 'uploading', {
+      progress: Math.floor((newOffset / upload.size) * 50),
+      message: `Uploading... ${newOffset}/${upload.size} bytes`
+    });
+
+    if (newOffset === upload.size) {
+      upload.status = 'verifying';
+      enqueueJob(upload.jobId);
+    }
+    fs.writeFileSync(uploadsFile, JSON.stringify(uploads, null, 2));
+
+    res.set('Upload-Offset', String(newOffset));
+    res.json(formatUpload(upload));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel an upload
+app.delete('/api/upload/:uploadId', requireRole('operator'), (req, res) => {
+  const upload = uploads[req.params.uploadId];
+  if (!upload) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  if (!hasAccess(req.apiKey, 'operator', upload.channelId)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  if (upload.status !== 'uploading' || activeUploads.has(upload.id)) {
+    return res.status(409).json({ error: 'Upload is already being processed' });
+  }
+
+  removeUpload(upload.id);
+  updateJobStatus(upload.jobId, 'failed', { error: 'Upload cancelled', errorCode: 'UPLOAD_CANCELLED' });
+  res.json({ success: true });
+});
+
+// Skip to the next queue item
+app.post('/api/channel/:channelId/skip', requireRole('operator'), (req, res) => {
+  const channelId = req.params.channelId;
+  const state = channelStates[channelId];
+  if (!channels[channelId] || !state) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+
+  if (state.isSwitching) {
+    return res.status(409).json({ error: 'Channel is already switching' });
+  }
+  // Only resume takes a channel out of a stop
+  if (channels[channelId].stopped) {
+    return res.status(409).json({ error: 'Channel is stopped; resume it first' });
+  }
+
+  const queue = channels[channelId].queue || [];
+  if (queue.length === 0 && state.playingAd) {
+    return res.status(409).json({ error: 'Queue is empty' });
+  }
+
+  const next = queue[0] || null;
+  setImmediate(() => skipCurrentMovie(channelId));
+
+  res.json({
+    success: true,
+    channelId,
+    skipped: channels[channelId].currentMovie,
+    next: next ? next.title : 'Ad Loop',
+    preloaded: !!(next && state.preloadReady && state.preloadItemId === next.id)
+  });
+});
+
+// Stop the current movie and hold the queue on the ad loop
+app.post('/api/channel/:channelId/stop', requireRole('operator'), async (req, res) => {
+  try {
+    const channelId = req.params.channelId;
+    const state = channelStates[channelId];
+    if (!channels[channelId] || !state) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    if (state.isSwitching) {
+      return res.status(409).json({ error: 'Channel is already switching' });
+    }
+
+    const stoppedMovie = channels[channelId].currentMovie;
+    await stopChannel(channelId);
+
+    res.json({ success: true, channelId, stopped: stoppedMovie });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume the queue after a stop
+app.post('/api/channel/:channelId/resume', requireRole('operator'), (req, res) => {
+  const channelId = req.params.channelId;
+  const state = channelStates[channelId];
+  if (!channels[channelId] || !state) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+
+  if (!channels[channelId].stopped) {
+    return res.json({ success: true, channelId, message: 'Channel is not stopped' });
+  }
+
+  channels[channelId].stopped = false;
+  fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+
+  if (getNextItem(channelId) && state.playingAd) {
+    setImmediate(() => startQueuePlayback(channelId));
+  }
+
+  res.json({ success: true, channelId });
+});
+
+// Update channel settings
+app.patch('/api/channel/:channelId', requireRole('admin'), async (req, res) => {
+  try {
+    const channelId = req.params.channelId;
+    const channelConfig = channels[channelId];
+    if (!channelConfig) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    if (channelStates[channelId] && channelStates[channelId].isSwitching) {
+      return res.status(409).json({ error: 'Channel is already switching' });
+    }
+
+    const { channelName, renditions, adPolicy, audioLanguages, branding, timezone, private: isPrivate } = req.body;
+    let newRenditions;
+    let newAdPolicy;
+    let newAudioLanguages;
+    let newBranding;
+    let newTimezone;
+    try {
+      if (channelName !== undefined && !String(channelName).trim()) {
+        throw new Error('channelName cannot be empty');
+      }
+      if (timezone !== undefined) newTimezone = timezone === null ? null : normalizeTimezone(timezone);
+      if (renditions !== undefined) newRenditions = renditions === null ? null : normalizeRenditions(renditions);
+      if (adPolicy !== undefined) newAdPolicy = normalizeAdPolicy(adPolicy, getAdPolicy(channelId));
+      if (audioLanguages !== undefined) newAudioLanguages = audioLanguages === null ? null : normalizeAudioLanguages(audioLanguages);
+      // Branding is baked into the encode, so it shows from the next item on
+      if (branding !== undefined) newBranding = branding === null ? null : normalizeBranding(branding, getBranding(channelId));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    if (channelName !== undefined) channelConfig.name = String(channelName).trim();
+    if (newAdPolicy !== undefined) channelConfig.adPolicy = newAdPolicy;
+    if (isPrivate !== undefined) channelConfig.private = !!isPrivate;
+    if (newBranding !== undefined) channelConfig.branding = newBranding;
+    if (newTimezone !== undefined) channelConfig.timezone = newTimezone;
+
+    // The live playlist cannot change its variants mid-stream, so a new ladder or audio set means a restart
+    const renditionsDiffer = newRenditions !== undefined &&
+      JSON.stringify(newRenditions) !== JSON.stringify(channelConfig.renditions);
+    const languagesDiffer = newAudioLanguages !== undefined &&
+      JSON.stringify(newAudioLanguages) !== JSON.stringify(channelConfig.audioLanguages || null);
+    const laddersDiffer = renditionsDiffer || languagesDiffer;
+    if (renditionsDiffer) channelConfig.renditions = newRenditions;
+    if (languagesDiffer) channelConfig.audioLanguages = newAudioLanguages;
+    fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+
+    if (laddersDiffer && channelStates[channelId]) {
+      await restartChannel(channelId);
+    } else if (channelStates[channelId]) {
+      await refreshSchedule(channelId);
+    }
+
+    res.json({
+      success: true,
+      channelId,
+      name: channelConfig.name,
+      renditions: getRenditionLadder(channelId),
+      audioLanguages: channelConfig.audioLanguages || null,
+      adPolicy: getAdPolicy(channelId),
+      branding: getBranding(channelId),
+      timezone: getChannelTimezone(channelId),
+      private: channelConfig.private || false,
+      restarted: laddersDiffer
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete channel; ?purgeMedia=true also removes its queued files from movies/
+app.delete('/api/channel/:channelId', requireRole('admin'), (req, res) => {
+  try {
+    const channelId = req.params.channelId;
+    const channelConfig = channels[channelId];
+    if (!channelConfig) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    const state = channelStates[channelId];
+    if (state && state.isSwitching) {
+      return res.status(409).json({ error: 'Channel is already switching' });
+    }
+
+    const items = [...(channelConfig.queue || [])];
+    if (state && state.currentItem && !state.currentItem.isAd) items.push(state.currentItem);
+    if (state && state.resumeItem) items.push(state.resumeItem);
+
+    publishEvent(channelId, 'channel-removed', {});
+    teardownChannel(channelId);
+    delete channels[channelId];
+    fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+    delete analytics[channelId];
+    delete viewerSessions[channelId];
+    saveAnalytics();
+
+    fs.rmSync(getChannelOutput(channelId), { recursive: true, force: true });
+
+    const purged = req.query.purgeMedia === 'true' ? purgeChannelMedia(channelId, items) : [];
+
+    res.json({ success: true, channelId, purgedFiles: purged.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a channel's ad policy
+app.put('/api/channel/:channelId/ad-policy', requireRole('admin'), async (req, res) => {
+  try {
+    const channelId = req.params.channelId;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    try {
+      channels[channelId].adPolicy = normalizeAdPolicy(req.body || {}, getAdPolicy(channelId));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    if (channelStates[channelId]) {
+      await refreshSchedule(channelId);
     } else {
-      console.log(`📺 [${channelId}] Preload failed, starting ad loop`);
-      playAd(channelId);
+      fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
     }
-  } else {
-    console.log(`📺 [${channelId}] No movies in queue, starting ad loop`);
-    playAd(channelId);
+
+    res.json({ success: true, channelId, adPolicy: channels[channelId].adPolicy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// ==================== JOB PROCESSING ====================
+// Get programming calendar with upcoming slots and conflicts
+app.get('/api/calendar/:channelId', requireChannelView, (req, res) => {
+  const channelId = req.params.channelId;
+  if (!channels[channelId]) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+  res.json(formatCalendar(channelId));
+});
 
-function updateJobStatus(jobId, status, data = {}) {
-  if (jobs[jobId]) {
-    jobs[jobId].status = status;
-    jobs[jobId].updatedAt = new Date().toISOString();
-    jobs[jobId] = { ...jobs[jobId], ...data };
-    fs.writeFileSync(jobsFile, JSON.stringify(jobs, null, 2));
+// Add fixed-time event
+app.post('/api/calendar/:channelId/events', requireRole('operator'), async (req, res) => {
+  try {
+    const channelId = req.params.channelId;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    let event;
+    try {
+      event = await normalizeCalendarEvent(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+
+    const calendar = channels[channelId].calendar = getCalendar(channelId);
+    calendar.events.push(event);
+    calendar.events.sort((a, b) => new Date(a.start) - new Date(b.start));
+    await applyCalendarChange(channelId);
+
+    res.json({ success: true, event, conflicts: findCalendarConflicts(channelId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-async function processAddMovieJob(jobId, jobData) {
+// Remove event
+app.delete('/api/calendar/:channelId/events/:eventId', requireRole('operator'), async (req, res) => {
   try {
-    updateJobStatus(jobId, 'processing', { progress: 0 });
-    
-    const { channelId, movieName, filePath, addedBy, fileSize, format } = jobData;
-    
-    if (!fs.existsSync(filePath)) {
-      throw new Error('File not found');
+    const { channelId, eventId } = req.params;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    const calendar = getCalendar(channelId);
+    const index = calendar.events.findIndex(event => event.id === eventId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Event not found' });
     }
 
-    updateJobStatus(jobId, 'processing', { progress: 50, message: 'Verifying video...' });
+    calendar.events.splice(index, 1);
+    await applyCalendarChange(channelId);
 
-    await getVideoDuration(filePath);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Add recurring block
+app.post('/api/calendar/:channelId/blocks', requireRole('operator'), async (req, res) => {
+  try {
+    const channelId = req.params.channelId;
     if (!channels[channelId]) {
-      throw new Error('Channel not found');
+      return res.status(400).json({ error: 'Invalid channel ID' });
     }
 
-    channels[channelId].queue.push({
-      title: movieName,
-      filePath: filePath,
-      addedBy: addedBy,
-      addedAt: new Date(),
-      fileSize: fileSize,
-      format: format
-    });
+    let block;
+    try {
+      block = await normalizeCalendarBlock(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
 
-    const currentInfo = channels[channelId].currentStartTime ? {
-      title: channels[channelId].currentMovie,
-      startTime: new Date(channels[channelId].currentStartTime),
-      endTime: new Date(channels[channelId].currentEndTime)
-    } : null;
-    channels[channelId].schedule = await generateDynamicSchedule(channelId, channels[channelId], currentInfo);
+    const calendar = channels[channelId].calendar = getCalendar(channelId);
+    calendar.blocks.push(block);
+    await applyCalendarChange(channelId);
 
-    fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+    res.json({ success: true, block, conflicts: findCalendarConflicts(channelId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    updateJobStatus(jobId, 'processing', { progress: 80, message: 'Checking playback...' });
+// Remove block
+app.delete('/api/calendar/:channelId/blocks/:blockId', requireRole('operator'), async (req, res) => {
+  try {
+    const { channelId, blockId } = req.params;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
 
-    const state = channelStates[channelId];
-    const isFirstMovie = channels[channelId].queue.length === 1;
+    const calendar = getCalendar(channelId);
+    const index = calendar.blocks.findIndex(block => block.id === blockId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Block not found' });
+    }
+
+    calendar.blocks.splice(index, 1);
+    await applyCalendarChange(channelId);
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set how gaps before calendar slots are filled
+app.put('/api/calendar/:channelId/fillers', requireRole('operator'), async (req, res) => {
+  try {
+    const channelId = req.params.channelId;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    let fillers;
+    try {
+      fillers = await normalizeFillers(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+
+    const calendar = channels[channelId].calendar = getCalendar(channelId);
+    calendar.fillers = fillers;
+    await applyCalendarChange(channelId);
+
+    res.json({ success: true, fillers });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (isFirstMovie && state && state.playingAd) {
-      if (state.currentProcess) {
-        state.currentProcess.kill('SIGKILL');
-        state.currentProcess = null;
+// Browse and search the media library
+app.get('/api/library', requireRole('viewer'), (req, res) => {
+  try {
+    const { q, collection, codec, language, minDuration, maxDuration } = req.query;
+    for (const [name, value] of [['minDuration', minDuration], ['maxDuration', maxDuration]]) {
+      if (value !== undefined && !(Number(value) >= 0)) {
+        return res.status(400).json({ error: `${name} must be a number of seconds >= 0` });
       }
-      
-      state.playingAd = false;
-      state.isPlaying = false;
-      state.preloadReady = false;
-      state.isPreloading = false;
-      
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      
-      try {
-        const channelOutput = getChannelOutput(channelId);
-        const files = fs.readdirSync(channelOutput);
-        files.forEach(file => {
-          if (file.includes('segment_') || file.includes('stream_') || file.includes('master_')) {
-            try {
-              fs.unlinkSync(path.join(channelOutput, file));
-            } catch (e) {}
-          }
-        });
-      } catch (e) {}
-      
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      updateJobStatus(jobId, 'processing', { progress: 90, message: 'Starting playback...' });
-      
-      const preloadSuccess = await preloadNextMovie(channelId);
-      
-      if (!preloadSuccess || !state.preloadReady) {
-        updateJobStatus(jobId, 'completed', { 
-          progress: 100,
-          message: 'Added to queue (will retry playback)',
-          queuePosition: channels[channelId].queue.length,
-          channelId,
-          format
-        });
-        setTimeout(() => playNextMovie(channelId), 10000);
-        return;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const results = searchLibrary({ q, collection, codec, language, minDuration, maxDuration });
+
+    res.json({
+      total: results.length,
+      offset,
+      limit,
+      items: results.slice(offset, offset + limit).map(formatMedia)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get library entry; a file that changed since it was probed is probed again
+app.get('/api/library/:mediaId', requireRole('viewer'), async (req, res) => {
+  try {
+    let entry = library[req.params.mediaId];
+    if (!entry) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    if (fs.existsSync(entry.filePath) && !isMediaFresh(entry)) {
+      entry = await registerMedia(entry.filePath);
+    }
+    res.json(formatMedia(entry));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add file to the library
+app.post('/api/library', requireRole('operator'), async (req, res) => {
+  try {
+    const { filePath, title, addedBy } = req.body;
+
+    let mediaPath;
+    try {
+      mediaPath = resolveMediaPath(filePath);
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+
+    const entry = await registerMedia(mediaPath, { title, addedBy });
+    res.json(formatMedia(entry));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename library entry or change its collections
+app.patch('/api/library/:mediaId', requireRole('operator'), (req, res) => {
+  const entry = library[req.params.mediaId];
+  if (!entry) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  const { title, collections } = req.body;
+  if (title !== undefined && !String(title).trim()) {
+    return res.status(400).json({ error: 'title cannot be empty' });
+  }
+  if (collections !== undefined && !Array.isArray(collections)) {
+    return res.status(400).json({ error: 'collections must be an array of names' });
+  }
+
+  if (title !== undefined) entry.title = String(title).trim();
+  if (collections !== undefined) {
+    entry.collections = [...new Set(collections.map(name => String(name).trim()).filter(Boolean))];
+  }
+
+  fs.writeFileSync(libraryFile, JSON.stringify(library, null, 2));
+  res.json(formatMedia(entry));
+});
+
+// Remove library entry; the file itself is left alone
+app.delete('/api/library/:mediaId', requireRole('admin'), (req, res) => {
+  if (!library[req.params.mediaId]) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  delete library[req.params.mediaId];
+  fs.writeFileSync(libraryFile, JSON.stringify(library, null, 2));
+  res.json({ success: true });
+});
+
+// Set what the channel plays when its queue is empty
+app.put('/api/channel/:channelId/idle', requireRole('admin'), async (req, res) => {
+  try {
+    const channelId = req.params.channelId;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    let policy;
+    try {
+      policy = normalizeIdlePolicy(req.body || {}, getIdlePolicy(channelId));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (policy.mode === 'playlist' && !(channels[channelId].playlists || {})[policy.playlist]) {
+      return res.status(400).json({ error: `Playlist not found: ${policy.playlist}` });
+    }
+
+    channels[channelId].idle = policy;
+    fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+
+    const state = channelStates[channelId];
+    if (state) {
+      resetIdleItem(channelId);
+      if (state.playingAd && getNextItem(channelId)) {
+        setImmediate(() => startQueuePlayback(channelId));
       }
-      
-      await new Promise(resolve => setTimeout(resolve, 8000));
-      
-      await playNextMovie(channelId);
-      
-      updateJobStatus(jobId, 'completed', { 
-        progress: 100,
-        message: 'Now playing!',
-        isPlaying: true,
-        channelId,
-        format
-      });
-    } else {
-      updateJobStatus(jobId, 'completed', { 
-        progress: 100,
-        message: 'Added to queue',
-        queuePosition: channels[channelId].queue.length,
-        channelId,
-        format
-      });
+      await refreshSchedule(channelId);
+    }
+
+    res.json({ success: true, channelId, idle: policy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get play history, newest first
+app.get('/api/channel/:channelId/history', requireChannelView, (req, res) => {
+  const channelId = req.params.channelId;
+  if (!channels[channelId]) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+
+  const hours = req.query.hours !== undefined ? Number(req.query.hours) : PLAY_HISTORY_MS / (60 * 60 * 1000);
+  if (!(hours >= 0)) {
+    return res.status(400).json({ error: 'hours must be a number >= 0' });
+  }
+  res.json({ channelId, plays: getRecentPlays(channelId, hours).reverse() });
+});
+
+// Viewer history and watch time per airing and per title; ?hours= limits the window (default 24)
+app.get('/api/channel/:channelId/analytics', requireRole('viewer'), (req, res) => {
+  const channelId = req.params.channelId;
+  if (!channels[channelId]) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+
+  const hours = req.query.hours !== undefined ? Number(req.query.hours) : 24;
+  if (!(hours >= 0)) {
+    return res.status(400).json({ error: 'hours must be a number >= 0' });
+  }
+  res.json(getAnalyticsReport(channelId, hours));
+});
+
+// List channel playlists
+app.get('/api/channel/:channelId/playlists', requireChannelView, (req, res) => {
+  const channelId = req.params.channelId;
+  if (!channels[channelId]) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+  res.json(channels[channelId].playlists || {});
+});
+
+// Create or replace a playlist of library entries
+app.put('/api/channel/:channelId/playlists/:name', requireRole('operator'), async (req, res) => {
+  try {
+    const { channelId, name } = req.params;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
     }
+
+    const { items } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'items must be a non-empty array of media IDs' });
+    }
+    const missing = items.find(mediaId => !library[mediaId]);
+    if (missing) {
+      return res.status(400).json({ error: `Media not found: ${missing}` });
+    }
+
+    const playlists = channels[channelId].playlists = channels[channelId].playlists || {};
+    playlists[name] = { items, position: 0, updatedAt: new Date().toISOString() };
+    fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+
+    if (getIdlePolicy(channelId).playlist === name) {
+      resetIdleItem(channelId);
+      if (channelStates[channelId]) await refreshSchedule(channelId);
+    }
+
+    res.json({ success: true, channelId, name, playlist: playlists[name] });
   } catch (error) {
-    console.error(`Job ${jobId} failed:`, error);
-    updateJobStatus(jobId, 'failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete playlist
+app.delete('/api/channel/:channelId/playlists/:name', requireRole('operator'), (req, res) => {
+  const { channelId, name } = req.params;
+  if (!channels[channelId]) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+
+  const playlists = channels[channelId].playlists || {};
+  if (!playlists[name]) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  const policy = getIdlePolicy(channelId);
+  if (policy.mode === 'playlist' && policy.playlist === name) {
+    return res.status(409).json({ error: 'Playlist is used by the idle policy' });
   }
-}
 
-// ==================== API ROUTES ====================
+  delete playlists[name];
+  fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
+  res.json({ success: true });
+});
 
-// Initialize channel
-app.post('/api/channel/init', async (req, res) => {
+// List ad creatives
+app.get('/api/ads', requireRole('admin'), (req, res) => {
+  res.json(Object.values(ads));
+});
+
+// Add ad creative
+app.post('/api/ads', requireRole('admin'), async (req, res) => {
   try {
-    const { channelId, channelName } = req.body;
-    
-    if (!channels[channelId]) {
-      channels[channelId] = {
-        name: channelName,
-        queue: [],
-        schedule: [],
-        currentMovie: null,
-        currentStartTime: null,
-        currentEndTime: null
-      };
-      fs.writeFileSync(channelsFile, JSON.stringify(channels, null, 2));
-      
-      setImmediate(() => initializeChannel(channelId));
+    const { title, filePath, weight, duration } = req.body;
+
+    if (!title || !filePath) {
+      return res.status(400).json({ error: 'title and filePath are required' });
     }
-    
-    res.json({ success: true, channelId });
+
+    let adPath;
+    try {
+      adPath = resolveMediaPath(filePath, [adDir]);
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: e.code });
+    }
+
+    const adWeight = weight !== undefined ? Number(weight) : 1;
+    if (!Number.isFinite(adWeight) || adWeight < 0) {
+      return res.status(400).json({ error: 'weight must be a number >= 0' });
+    }
+
+    const adId = `ad_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    ads[adId] = {
+      id: adId,
+      title,
+      filePath: adPath,
+      weight: adWeight,
+      duration: duration ? Number(duration) * 1000 : await getVideoDuration(adPath),
+      audioTracks: await getAudioTracks(adPath),
+      enabled: true,
+      plays: 0,
+      createdAt: new Date().toISOString()
+    };
+    fs.writeFileSync(adsFile, JSON.stringify(ads, null, 2));
+
+    res.json(ads[adId]);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Add movie (creates job, returns immediately)
-app.post('/api/movie/add', async (req, res) => {
+// Update ad creative
+app.patch('/api/ads/:adId', requireRole('admin'), (req, res) => {
+  const ad = ads[req.params.adId];
+  if (!ad) {
+    return res.status(404).json({ error: 'Ad not found' });
+  }
+
+  const { title, weight, enabled } = req.body;
+  if (weight !== undefined) {
+    const adWeight = Number(weight);
+    if (!Number.isFinite(adWeight) || adWeight < 0) {
+      return res.status(400).json({ error: 'weight must be a number >= 0' });
+    }
+    ad.weight = adWeight;
+  }
+  if (title !== undefined) ad.title = title;
+  if (enabled !== undefined) ad.enabled = !!enabled;
+
+  fs.writeFileSync(adsFile, JSON.stringify(ads, null, 2));
+  res.json(ad);
+});
+
+// Remove ad creative
+app.delete('/api/ads/:adId', requireRole('admin'), (req, res) => {
+  if (!ads[req.params.adId]) {
+    return res.status(404).json({ error: 'Ad not found' });
+  }
+
+  delete ads[req.params.adId];
+  fs.writeFileSync(adsFile, JSON.stringify(ads, null, 2));
+  res.json({ success: true });
+});
+
+// List API keys
+app.get('/api/keys', requireRole('admin'), (req, res) => {
+  res.json(Object.values(apiKeys).map(formatApiKey));
+});
+
+// Create API key; the key itself is only returned here
+app.post('/api/keys', requireRole('admin'), (req, res) => {
   try {
-    const { channelId, movieName, filePath, addedBy, fileSize, format } = req.body;
-    
-    if (!channels[channelId]) {
-      return res.status(400).json({ error: 'Channel not found' });
+    const { name, role, channels: scope } = req.body;
+
+    let keyScope;
+    try {
+      keyScope = normalizeKeyScope(role, scope);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
     }
-    
-    const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    jobs[jobId] = {
-      id: jobId,
-      channelId,
-      movieName,
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      progress: 0
-    };
-    
-    fs.writeFileSync(jobsFile, JSON.stringify(jobs, null, 2));
-    
-    setImmediate(() => {
-      processAddMovieJob(jobId, {
-        channelId,
-        movieName,
-        filePath,
-        addedBy,
-        fileSize,
-        format
-      });
-    });
-    
-    res.json({ jobId, status: 'pending' });
+
+    res.json(createApiKey(name, role, keyScope));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Revoke API key
+app.delete('/api/keys/:keyId', requireRole('admin'), (req, res) => {
+  const record = apiKeys[req.params.keyId];
+  if (!record) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    fs.writeFileSync(apiKeysFile, JSON.stringify(apiKeys, null, 2));
+  }
+  res.json({ success: true, key: formatApiKey(record) });
+});
+
 // Get job status
-app.get('/api/job/:jobId', (req, res) => {
+app.get('/api/job/:jobId', requireRole('viewer'), (req, res) => {
   const jobId = req.params.jobId;
   const job = jobs[jobId];
   
   if (!job) {
     return res.status(404).json({ error: 'Job not found' });
   }
+
+  if (!hasAccess(req.apiKey, 'viewer', job.channelId)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
   
-  res.json(job);
+  res.json(formatJob(job));
+});
+
+// List jobs, newest first; ?channelId= and ?status= (comma separated) filter them
+app.get('/api/jobs', requireRole('viewer'), (req, res) => {
+  try {
+    const { channelId } = req.query;
+    const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()) : null;
+    const invalid = (statuses || []).find(status => !JOB_STATUSES.includes(status));
+    if (invalid) {
+      return res.status(400).json({ error: `Invalid status: ${invalid}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const matches = Object.values(jobs)
+      .filter(job => hasAccess(req.apiKey, 'viewer', job.channelId))
+      .filter(job => !channelId || job.channelId === channelId)
+      .filter(job => !statuses || statuses.includes(job.status))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      total: matches.length,
+      limit,
+      offset,
+      jobs: matches.slice(offset, offset + limit).map(formatJob)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a job; a running one stops at its next step and is then marked cancelled
+app.delete('/api/job/:jobId', requireRole('operator'), (req, res) => {
+  try {
+    const job = jobs[req.params.jobId];
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!hasAccess(req.apiKey, 'operator', job.channelId)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    if (JOB_FINISHED_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Job already ${job.status}` });
+    }
+    if (job.uploadId && activeUploads.has(job.uploadId)) {
+      return res.status(409).json({ error: 'Upload is receiving a chunk' });
+    }
+    // Past this point the job only finishes its bookkeeping; the movie leaves through the queue instead
+    if (job.itemId) {
+      return res.status(409).json({ error: 'Movie is already queued; remove it from the queue instead', itemId: job.itemId });
+    }
+
+    const control = runningJobs.get(job.id);
+    if (control) {
+      control.cancelled = true;
+      if (control.abort) control.abort();
+      updateJobStatus(job.id, job.status, { cancelRequested: true });
+    } else {
+      discardJobFiles(job);
+      updateJobStatus(job.id, 'cancelled', { message: 'Cancelled' });
+      console.log(`🛑 Job ${job.id} cancelled`);
+    }
+
+    res.json({ success: true, job: formatJob(jobs[job.id]) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Get all channels (public)
 app.get('/api/channels-public', (req, res) => {
   const channelData = {};
   for (const [channelId, config] of Object.entries(channels)) {
+    if (!canViewChannel(req, channelId)) continue;
     const state = channelStates[channelId];
     channelData[channelId] = {
       name: config.name,
@@ -879,17 +5877,136 @@ app.get('/api/channels-public', (req, res) => {
   res.json(channelData);
 });
 
-// Get schedule
-app.get('/api/schedule/:channelId', (req, res) => {
+// Live events for every channel the caller can view, as Server-Sent Events; browsers pass the key as ?key=
+app.get('/api/events', (req, res) => {
+  openEventStream(req, res, null);
+});
+
+// Live events for one channel: now-playing, schedule and queue changes, and job progress for API keys
+app.get('/api/channel/:channelId/events', requireChannelView, (req, res) => {
+  const channelId = req.params.channelId;
+  if (!channels[channelId]) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+  openEventStream(req, res, channelId);
+});
+
+// Get channel logo
+app.get('/api/channel/:channelId/logo', requireChannelView, (req, res) => {
+  const channelId = req.params.channelId;
+  if (!channels[channelId]) {
+    return res.status(400).json({ error: 'Invalid channel ID' });
+  }
+  const { logoPath } = getBranding(channelId);
+  if (!logoPath || !fs.existsSync(logoPath)) {
+    return res.status(404).json({ error: 'Channel has no logo' });
+  }
+  res.sendFile(logoPath);
+});
+
+// M3U channel list for IPTV players; private channels are listed for keys that can view them
+app.get('/playlist.m3u', requireLinkableKey, (req, res) => {
+  try {
+    const baseUrl = getBaseUrl(req);
+    const keyQuery = req.linkKey ? `?key=${encodeURIComponent(req.linkKey)}` : '';
+    const lines = [`#EXTM3U url-tvg="${escapeM3uValue(`${baseUrl}/epg.xml${keyQuery}`)}"`];
+
+    for (const [channelId, config] of Object.entries(channels)) {
+      if (!canViewChannel(req, channelId)) continue;
+      const query = config.private ? keyQuery : '';
+      const attributes = [
+        `tvg-id="${escapeM3uValue(channelId)}"`,
+        `tvg-name="${escapeM3uValue(config.name || channelId)}"`
+      ];
+      if (getBranding(channelId).logoPath) {
+        attributes.push(`tvg-logo="${escapeM3uValue(`${baseUrl}/api/channel/${encodeURIComponent(channelId)}/logo${query}`)}"`);
+      }
+      attributes.push('group-title="axstream"');
+
+      lines.push(`#EXTINF:-1 ${attributes.join(' ')},${escapeM3uValue(config.name || channelId)}`);
+      lines.push(`${baseUrl}/hls/${encodeURIComponent(channelId)}/master.m3u8${query}`);
+    }
+
+    res.setHeader('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+    res.send(lines.join('\n') + '\n');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// XMLTV guide with each channel's upcoming schedule, in the channel's timezone
+app.get('/epg.xml', requireLinkableKey, (req, res) => {
+  try {
+    const baseUrl = getBaseUrl(req);
+    const keyQuery = req.linkKey ? `?key=${encodeURIComponent(req.linkKey)}` : '';
+    const channelXml = [];
+    const programmeXml = [];
+    const now = Date.now();
+
+    for (const [channelId, config] of Object.entries(channels)) {
+      if (!canViewChannel(req, channelId)) continue;
+      const timeZone = getChannelTimezone(channelId);
+      const id = escapeXml(channelId);
+
+      channelXml.push(`  <channel id="${id}">`);
+      channelXml.push(`    <display-name>${escapeXml(config.name || channelId)}</display-name>`);
+      if (getBranding(channelId).logoPath) {
+        const logoUrl = `${baseUrl}/api/channel/${encodeURIComponent(channelId)}/logo${config.private ? keyQuery : ''}`;
+        channelXml.push(`    <icon src="${escapeXml(logoUrl)}" />`);
+      }
+      channelXml.push('  </channel>');
+
+      for (const entry of config.schedule || []) {
+        if (!entry.start || !entry.end || new Date(entry.end).getTime() <= now) continue;
+        programmeXml.push(`  <programme start="${formatXmltvTime(new Date(entry.start), timeZone)}" stop="${formatXmltvTime(new Date(entry.end), timeZone)}" channel="${id}">`);
+        programmeXml.push(`    <title>${escapeXml(entry.title)}</title>`);
+        if (entry.isAd) programmeXml.push('    <category lang="en">Advertisement</category>');
+        programmeXml.push('  </programme>');
+      }
+    }
+
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE tv SYSTEM "xmltv.dtd">',
+      '<tv generator-info-name="axstream">',
+      ...channelXml,
+      ...programmeXml,
+      '</tv>'
+    ].join('\n');
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.send(xml + '\n');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get schedule; ?tz= formats it in another zone and ?from=&to= limit it to a time range
+app.get('/api/schedule/:channelId', requireChannelView, (req, res) => {
   const channelId = req.params.channelId;
   if (!channels[channelId]) {
     return res.status(400).json({ error: 'Invalid channel ID' });
   }
-  res.json(channels[channelId].schedule || []);
+
+  const timeZone = req.query.tz || getChannelTimezone(channelId);
+  if (!isValidTimezone(timeZone)) {
+    return res.status(400).json({ error: `Invalid timezone: ${timeZone}` });
+  }
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps' });
+  }
+
+  // Entries overlapping [from, to) are returned, formatted in the requested zone
+  const schedule = (channels[channelId].schedule || [])
+    .filter(entry => !entry.start || ((!from || new Date(entry.end) > from) && (!to || new Date(entry.start) < to)))
+    .map(entry => localizeScheduleEntry(entry, timeZone));
+  res.json(schedule);
 });
 
 // Get channel info
-app.get('/api/channel-info/:channelId', (req, res) => {
+app.get('/api/channel-info/:channelId', requireChannelView, (req, res) => {
   const channelId = req.params.channelId;
   if (!channels[channelId]) {
     return res.status(400).json({ error: 'Invalid channel ID' });
@@ -898,16 +6015,32 @@ app.get('/api/channel-info/:channelId', (req, res) => {
   const state = channelStates[channelId];
   res.json({
     name: channels[channelId].name,
+    timezone: getChannelTimezone(channelId),
     currentMovie: channels[channelId].currentMovie,
     isLive: state?.isPlaying || false,
-    playingAd: state?.playingAd || false
+    playingAd: state?.playingAd || false,
+    inBreak: state?.currentItem?.isAd || false,
+    stopped: channels[channelId].stopped || false,
+    viewers: getViewerCount(channelId),
+    currentAiring: currentAirings[channelId] ? formatAiring(currentAirings[channelId]) : null
   });
 });
 
+// Prometheus metrics; channel series are limited to the channels the key can view
+app.get('/metrics', requireRole('viewer'), (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics(channelId => hasAccess(req.apiKey, 'viewer', channelId)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get status
 app.get('/api/status', (req, res) => {
   const status = {};
   for (const [channelId, config] of Object.entries(channels)) {
+    if (!canViewChannel(req, channelId)) continue;
     const state = channelStates[channelId];
     status[channelId] = {
       name: config.name,
@@ -915,28 +6048,175 @@ app.get('/api/status', (req, res) => {
       isPlaying: state?.isPlaying || false,
       playingAd: state?.playingAd || false,
       queueLength: config.queue?.length || 0,
-      preloadReady: state?.preloadReady || false
+      preloadReady: state?.preloadReady || false,
+      passthrough: !!(state?.currentProcess && !state.currentProcess.transcoding),
+      // Why the item on air is re-encoded rather than copied, e.g. branding drawn on the picture
+      transcodeReason: state?.currentProcess?.transcodeReason || null,
+      waitingForEncoder: !!state?.encoderWaiter,
+      stopped: config.stopped || false,
+      incidents: (config.incidents || []).slice(-5).reverse()
     };
   }
   res.json(status);
 });
 
 // Get queue
-app.get('/api/queue/:channelId', (req, res) => {
+app.get('/api/queue/:channelId', requireChannelView, (req, res) => {
   const channelId = req.params.channelId;
   if (!channels[channelId]) {
     return res.status(400).json({ error: 'Invalid channel ID' });
   }
 
-  res.json({
-    channelName: channels[channelId].name,
-    currentMovie: channels[channelId].currentMovie || 'Ad Loop',
-    queue: (channels[channelId].queue || []).map((movie, index) => ({
-      position: index + 1,
-      title: movie.title,
-      addedBy: movie.addedBy || 'Unknown'
-    }))
-  });
+  res.json(formatQueue(channelId));
+});
+
+// Clear queue
+app.delete('/api/queue/:channelId', requireRole('operator'), async (req, res) => {
+  try {
+    const channelId = req.params.channelId;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    channels[channelId].queue = [];
+    await applyQueueChange(channelId);
+
+    res.json({ success: true, ...formatQueue(channelId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove queue item
+app.delete('/api/queue/:channelId/:itemId', requireRole('operator'), async (req, res) => {
+  try {
+    const { channelId, itemId } = req.params;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    const index = findQueueIndex(channelId, itemId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    const [removed] = channels[channelId].queue.splice(index, 1);
+    await applyQueueChange(channelId);
+
+    res.json({ success: true, removed: { id: removed.id, title: removed.title }, ...formatQueue(channelId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change subtitle and audio options of a queued item
+app.patch('/api/queue/:channelId/:itemId', requireRole('operator'), async (req, res) => {
+  try {
+    const { channelId, itemId } = req.params;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    const index = findQueueIndex(channelId, itemId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    const movie = channels[channelId].queue[index];
+    let options;
+    let audioLanguage;
+    try {
+      if (req.body.subtitles !== undefined) options = normalizeSubtitleOptions(req.body.subtitles || 'off');
+      audioLanguage = normalizeAudioLanguage(req.body.audioLanguage);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    if (audioLanguage !== undefined) {
+      if (!movie.audioTracks) movie.audioTracks = await getAudioTracks(movie.filePath);
+      const track = findAudioTrack(movie.audioTracks, audioLanguage);
+      if (!track) {
+        return res.status(400).json({ error: `No ${audioLanguage} audio track in this item` });
+      }
+      movie.audioLanguage = track.language;
+    }
+
+    if (options) {
+      try {
+        movie.subtitles = options.mode === 'off' ? null : await prepareSubtitles(movie.id, movie.filePath, {
+          ...options,
+          file: options.file ? resolveMediaPath(options.file) : undefined
+        });
+      } catch (e) {
+        if (!e.code) throw e;
+        return res.status(400).json({ error: e.message, code: e.code });
+      }
+    }
+
+    // A preloaded run was started with the old options
+    const state = channelStates[channelId];
+    if (state && state.preloadItemId === movie.id) {
+      cancelPreload(channelId);
+      if (state.isPlaying && !state.playingAd) schedulePreload(channelId);
+    }
+    await applyQueueChange(channelId);
+
+    res.json({ success: true, ...formatQueue(channelId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move queue item to a 1-based position
+app.post('/api/queue/:channelId/:itemId/move', requireRole('operator'), async (req, res) => {
+  try {
+    const { channelId, itemId } = req.params;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    const position = parseInt(req.body.position);
+    if (!position || position < 1) {
+      return res.status(400).json({ error: 'position must be a positive integer' });
+    }
+
+    const index = findQueueIndex(channelId, itemId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    const queue = channels[channelId].queue;
+    const [item] = queue.splice(index, 1);
+    queue.splice(Math.min(position, queue.length + 1) - 1, 0, item);
+    await applyQueueChange(channelId);
+
+    res.json({ success: true, ...formatQueue(channelId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move queue item to the front
+app.post('/api/queue/:channelId/:itemId/top', requireRole('operator'), async (req, res) => {
+  try {
+    const { channelId, itemId } = req.params;
+    if (!channels[channelId]) {
+      return res.status(400).json({ error: 'Invalid channel ID' });
+    }
+
+    const index = findQueueIndex(channelId, itemId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    const queue = channels[channelId].queue;
+    queue.unshift(...queue.splice(index, 1));
+    await applyQueueChange(channelId);
+
+    res.json({ success: true, ...formatQueue(channelId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Web pages
@@ -1056,47 +6336,86 @@ app.get('/', (req, res) => {
       </div>
       
       <script>
+        let channelsData = {};
+
         async function loadChannels() {
           try {
             const response = await fetch('/api/channels-public');
-            const data = await response.json();
-            const grid = document.getElementById('channelsGrid');
-            
-            if (Object.keys(data).length === 0) {
-              grid.innerHTML = '<div class="no-channels">No channels available yet. Add the bot to a Telegram group to create one!</div>';
-              return;
-            }
-            
-            grid.innerHTML = '';
-            Object.entries(data).forEach(([id, channel]) => {
-              const card = document.createElement('a');
-              card.href = '/watch/' + id;
-              card.className = 'channel-card';
-              card.innerHTML = \`
-                <div class="channel-name">\${channel.name}</div>
-                <div class="channel-status">
-                  <span class="live-indicator"></span>
-                  \${channel.currentMovie || '📢 Ad Loop'}
-                </div>
-                <div class="channel-status">Queue: \${channel.queueLength} movies</div>
-                <span class="watch-btn">Watch Live →</span>
-              \`;
-              grid.appendChild(card);
-            });
+            channelsData = await response.json();
+            renderChannels();
           } catch (error) {
             console.error('Failed to load channels:', error);
           }
         }
+
+        function renderChannels() {
+          const grid = document.getElementById('channelsGrid');
+          
+          if (Object.keys(channelsData).length === 0) {
+            grid.innerHTML = '<div class="no-channels">No channels available yet. Add the bot to a Telegram group to create one!</div>';
+            return;
+          }
+          
+          grid.innerHTML = '';
+          Object.entries(channelsData).forEach(([id, channel]) => {
+            const card = document.createElement('a');
+            card.href = '/watch/' + id;
+            card.className = 'channel-card';
+            card.innerHTML = \`
+              <div class="channel-name">\${channel.name}</div>
+              <div class="channel-status">
+                <span class="live-indicator"></span>
+                \${channel.currentMovie || '📢 Ad Loop'}
+              </div>
+              <div class="channel-status">Queue: \${channel.queueLength} movies</div>
+              <span class="watch-btn">Watch Live →</span>
+            \`;
+            grid.appendChild(card);
+          });
+        }
+
+        // The server pushes changes; channels it has not listed yet trigger a full reload
+        function subscribeChannels() {
+          const events = new EventSource('/api/events');
+
+          events.addEventListener('now-playing', (event) => {
+            const data = JSON.parse(event.data);
+            if (!channelsData[data.channelId]) return loadChannels();
+            Object.assign(channelsData[data.channelId], {
+              name: data.name,
+              currentMovie: data.currentMovie,
+              queueLength: data.queueLength,
+              isLive: data.isLive
+            });
+            renderChannels();
+          });
+
+          events.addEventListener('queue', (event) => {
+            const data = JSON.parse(event.data);
+            if (!channelsData[data.channelId]) return;
+            channelsData[data.channelId].queueLength = data.queue.length;
+            renderChannels();
+          });
+
+          events.addEventListener('channel-removed', (event) => {
+            delete channelsData[JSON.parse(event.data).channelId];
+            renderChannels();
+          });
+        }
         
         loadChannels();
-        setInterval(loadChannels, 10000);
+        if (window.EventSource) {
+          subscribeChannels();
+        } else {
+          setInterval(loadChannels, 10000);
+        }
       </script>
     </body>
     </html>
   `);
 });
 
-app.get('/watch/:channelId', (req, res) => {
+app.get('/watch/:channelId', requireChannelView, (req, res) => {
   const channelId = req.params.channelId;
   const filePath = path.join(publicDir, 'channel.html');
   
@@ -1104,6 +6423,8 @@ app.get('/watch/:channelId', (req, res) => {
     return res.status(404).send('Channel player not found. Please create public/channel.html');
   }
   
+  rememberChannelKey(req, res, channelId);
+
   let html = fs.readFileSync(filePath, 'utf8');
   
   const channelDataScript = `
@@ -1135,10 +6456,30 @@ app.get('/watch/:channelId', (req, res) => {
 
 // ==================== INITIALIZATION ====================
 
-[publicDir, path.join(__dirname, 'ad'), path.join(__dirname, 'movies')].forEach(dir => {
+[publicDir, adDir, moviesDir, uploadsDir, subtitlesDir].forEach(dir => {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 });
 
+// Without an admin key nothing could be managed, so one is created and printed on first boot
+if (!process.env.ADMIN_API_KEY && !Object.values(apiKeys).some(k => k.role === 'admin' && !k.revokedAt)) {
+  const { key } = createApiKey('bootstrap', 'admin', ['*']);
+  console.log(`🔑 Created admin API key (stored hashed, shown once): ${key}`);
+}
+
+pruneExpiredUploads();
+pruneJobs();
+// Abandoned upload sessions expire even when no new upload arrives
+setInterval(() => {
+  pruneExpiredUploads();
+  pruneJobs();
+}, 60 * 60 * 1000);
+setInterval(sampleViewers, VIEWER_SAMPLE_MS);
+// Urgency also changes without a worker exiting: an item running past its end, or a stall being recovered
+setInterval(pumpEncoders, WATCHDOG_INTERVAL_MS);
+setInterval(() => eventClients.forEach(client => client.res.write(': ping\n\n')), EVENT_HEARTBEAT_MS);
+// Includes uploads that finished receiving but were not verified before a restart
+resumeJobs();
+
 (async () => {
   for (const [id, config] of Object.entries(channels)) {
     await initializeChannel(id);